@@ -0,0 +1,224 @@
+/**
+ * Activity export
+ *
+ * Turns exchange fills and recorded deposits/withdrawals into ledger rows
+ * and renders them as CSV: a generic ledger with every reference we have
+ * (order/trade ids, tx hashes, explorer links), plus the Koinly and
+ * CoinTracker import layouts.
+ */
+
+const { getExplorerTxUrl } = require('./deposit-contracts');
+
+const LEDGER_COLUMNS = [
+    'time', 'type', 'account', 'network', 'side', 'symbol',
+    'baseAsset', 'baseAmount', 'quoteAsset', 'quoteAmount', 'price',
+    'feeAmount', 'feeAsset', 'orderId', 'tradeId', 'withdrawId',
+    'txHash', 'explorerUrl', 'from', 'to', 'status'
+];
+
+/**
+ * Ledger row for an exchange fill
+ * @param {Object} trade - Formatted trade (see ToolsAPI._formatTrade)
+ * @param {Object} pair - {baseAsset, quoteAsset}
+ * @returns {Object} Ledger row
+ */
+function tradeToRow(trade, pair) {
+    return {
+        time: new Date(trade.time).toISOString(),
+        type: 'trade',
+        account: 'spot',
+        network: null,
+        side: trade.side,
+        symbol: trade.symbol,
+        baseAsset: pair.baseAsset,
+        baseAmount: trade.qty,
+        quoteAsset: pair.quoteAsset,
+        quoteAmount: trade.quoteQty,
+        price: trade.price,
+        feeAmount: trade.commission,
+        feeAsset: trade.commissionAsset,
+        orderId: trade.orderId,
+        tradeId: trade.id,
+        withdrawId: null,
+        txHash: null,
+        explorerUrl: null,
+        from: null,
+        to: null,
+        status: 'filled'
+    };
+}
+
+/**
+ * Ledger row for a recorded deposit or withdrawal
+ * @param {Object} entry - Activity log entry
+ * @returns {Object} Ledger row
+ */
+function activityToRow(entry) {
+    const isWithdrawal = entry.type === 'withdrawal';
+
+    return {
+        time: entry.time,
+        type: entry.type,
+        account: entry.targetAccount || 'spot',
+        network: entry.network,
+        side: null,
+        symbol: null,
+        baseAsset: entry.asset,
+        baseAmount: entry.amount,
+        quoteAsset: null,
+        quoteAmount: null,
+        price: null,
+        feeAmount: isWithdrawal ? entry.fee : null,
+        feeAsset: isWithdrawal ? entry.asset : null,
+        orderId: null,
+        tradeId: null,
+        withdrawId: entry.withdrawId || null,
+        txHash: entry.txHash || null,
+        explorerUrl: entry.explorerUrl || getExplorerTxUrl(entry.network, entry.txHash),
+        from: entry.from || null,
+        to: entry.to || null,
+        status: entry.status || null
+    };
+}
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm:ss" (UTC)
+ * @param {string} iso - ISO date
+ * @returns {string} Formatted date
+ */
+function formatUtc(iso) {
+    return new Date(iso).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Sent/received legs of a row from the account's point of view
+ * @param {Object} row - Ledger row
+ * @returns {Object} {sentAmount, sentAsset, receivedAmount, receivedAsset}
+ */
+function legs(row) {
+    if (row.type === 'trade') {
+        return row.side === 'BUY'
+            ? { sentAmount: row.quoteAmount, sentAsset: row.quoteAsset, receivedAmount: row.baseAmount, receivedAsset: row.baseAsset }
+            : { sentAmount: row.baseAmount, sentAsset: row.baseAsset, receivedAmount: row.quoteAmount, receivedAsset: row.quoteAsset };
+    }
+
+    return row.type === 'deposit'
+        ? { sentAmount: null, sentAsset: null, receivedAmount: row.baseAmount, receivedAsset: row.baseAsset }
+        : { sentAmount: row.baseAmount, sentAsset: row.baseAsset, receivedAmount: null, receivedAsset: null };
+}
+
+/**
+ * Short description with the on-chain reference, for formats without dedicated columns
+ * @param {Object} row - Ledger row
+ * @returns {string} Description
+ */
+function describe(row) {
+    if (row.type === 'trade') {
+        return `${row.side} ${row.symbol} order ${row.orderId} trade ${row.tradeId}`;
+    }
+
+    const direction = row.type === 'deposit' ? `Deposit from ${row.network}` : `Withdrawal to ${row.network}`;
+    return [direction, row.withdrawId && `id ${row.withdrawId}`, row.explorerUrl].filter(Boolean).join(' ');
+}
+
+const FORMATS = {
+    ledger: {
+        columns: LEDGER_COLUMNS,
+        render: row => row
+    },
+    // Koinly universal CSV
+    koinly: {
+        columns: [
+            'Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+            'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency',
+            'Label', 'Description', 'TxHash'
+        ],
+        render: row => {
+            const leg = legs(row);
+            return {
+                'Date': `${formatUtc(row.time)} UTC`,
+                'Sent Amount': leg.sentAmount,
+                'Sent Currency': leg.sentAsset,
+                'Received Amount': leg.receivedAmount,
+                'Received Currency': leg.receivedAsset,
+                'Fee Amount': row.feeAmount,
+                'Fee Currency': row.feeAsset,
+                'Net Worth Amount': null,
+                'Net Worth Currency': null,
+                'Label': null,
+                'Description': describe(row),
+                'TxHash': row.txHash
+            };
+        }
+    },
+    // CoinTracker CSV import
+    cointracker: {
+        columns: [
+            'Date', 'Received Quantity', 'Received Currency', 'Sent Quantity', 'Sent Currency',
+            'Fee Amount', 'Fee Currency', 'Tag'
+        ],
+        render: row => {
+            const leg = legs(row);
+            const [date, time] = formatUtc(row.time).split(' ');
+            const [year, month, day] = date.split('-');
+            return {
+                'Date': `${month}/${day}/${year} ${time}`,
+                'Received Quantity': leg.receivedAmount,
+                'Received Currency': leg.receivedAsset,
+                'Sent Quantity': leg.sentAmount,
+                'Sent Currency': leg.sentAsset,
+                'Fee Amount': row.feeAmount,
+                'Fee Currency': row.feeAsset,
+                'Tag': null
+            };
+        }
+    }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+/**
+ * Escape a CSV field (RFC 4180)
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render ledger rows as CSV in one of the export formats
+ * @param {Array<Object>} rows - Ledger rows
+ * @param {string} format - ledger, koinly or cointracker
+ * @returns {string} CSV with header line
+ * @throws {Error} If the format is unknown
+ */
+function renderCsv(rows, format = 'ledger') {
+    const spec = FORMATS[format];
+
+    if (!spec) {
+        throw new Error(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    const lines = [spec.columns.join(',')];
+
+    for (const row of rows) {
+        const rendered = spec.render(row);
+        lines.push(spec.columns.map(column => csvField(rendered[column])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    tradeToRow,
+    activityToRow,
+    renderCsv,
+    EXPORT_FORMATS,
+    LEDGER_COLUMNS
+};
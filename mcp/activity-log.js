@@ -0,0 +1,85 @@
+/**
+ * On-chain activity log
+ *
+ * Deposits and withdrawals made through the tools are recorded with their
+ * transaction hashes, because the exchange trade history does not carry
+ * them. The log is a JSON-lines file in the data directory; withdrawal
+ * entries are updated once the tx hash and final status are known.
+ */
+
+const { appendJsonLine, readJsonLines, writeJsonLines } = require('./storage');
+
+const ACTIVITY_FILE = 'activity.jsonl';
+
+const ACTIVITY_TYPES = ['deposit', 'withdrawal'];
+
+/**
+ * Record a deposit or withdrawal
+ * Failures are logged, never thrown: the transfer itself already happened.
+ * @param {string} type - deposit or withdrawal
+ * @param {Object} details - Activity details (network, asset, amount, txHash, ...)
+ * @returns {Object} Recorded entry
+ */
+function recordActivity(type, details) {
+    const entry = { time: new Date().toISOString(), type, ...details };
+
+    try {
+        appendJsonLine(ACTIVITY_FILE, entry);
+    } catch (error) {
+        console.error(`Failed to record ${type} in the activity log:`, error.message);
+    }
+
+    return entry;
+}
+
+/**
+ * Update a recorded withdrawal, e.g. with the tx hash learned after it was submitted
+ * Failures are logged, never thrown.
+ * @param {string} withdrawId - Exchange withdrawal id
+ * @param {Object} changes - Fields to set (txHash, explorerUrl, status, ...)
+ * @returns {boolean} Whether an entry was updated
+ */
+function updateWithdrawalActivity(withdrawId, changes) {
+    try {
+        const entries = readJsonLines(ACTIVITY_FILE);
+        const entry = entries.find(e => e.type === 'withdrawal' && String(e.withdrawId) === String(withdrawId));
+
+        if (!entry) {
+            return false;
+        }
+
+        Object.assign(entry, changes);
+        writeJsonLines(ACTIVITY_FILE, entries);
+
+        return true;
+    } catch (error) {
+        console.error(`Failed to update withdrawal ${withdrawId} in the activity log:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * List recorded activity
+ * @param {Object} filter - Filter
+ * @param {Array<string>} filter.types - Optional: deposit and/or withdrawal
+ * @param {number} filter.startTime - Optional: Start (ms, inclusive)
+ * @param {number} filter.endTime - Optional: End (ms, inclusive)
+ * @returns {Array<Object>} Entries, oldest first
+ */
+function listActivity(filter = {}) {
+    const { types = null, startTime = null, endTime = null } = filter;
+
+    return readJsonLines(ACTIVITY_FILE).filter(entry => {
+        const time = Date.parse(entry.time);
+        return (!types || types.includes(entry.type)) &&
+            (!startTime || time >= startTime) &&
+            (!endTime || time <= endTime);
+    });
+}
+
+module.exports = {
+    recordActivity,
+    updateWithdrawalActivity,
+    listActivity,
+    ACTIVITY_TYPES
+};
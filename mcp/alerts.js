@@ -0,0 +1,361 @@
+/**
+ * Price alerts
+ *
+ * Conditions on the price feed (level crossings, % moves within a window,
+ * wide spreads) evaluated in the background. Alerts are persisted in the
+ * data directory and emit a "triggered" event when they fire.
+ */
+
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { writeJson, readJsonOrQuarantine } = require('./storage');
+
+const ALERTS_FILE = 'alerts.json';
+
+// Evaluate every 10 seconds by default
+const DEFAULT_CHECK_INTERVAL_MS = 10 * 1000;
+
+const ALERT_TYPES = ['price_above', 'price_below', 'percent_change', 'spread_above'];
+
+// Longest window a percent_change alert may use
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+class AlertManager extends EventEmitter {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.getQuote - Async (symbol) => {price, bid, ask} for a listed symbol
+     * @param {number} options.intervalMs - Evaluation interval in ms (0 disables background checks)
+     */
+    constructor(options = {}) {
+        super();
+        this.getQuote = options.getQuote;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_CHECK_INTERVAL_MS;
+        this.alerts = this._load();
+        this.history = new Map();
+        this.timer = null;
+        this.checking = false;
+    }
+
+    /**
+     * Create an alert
+     * @param {Object} spec - Alert definition
+     * @param {string} spec.symbol - Listed symbol (already resolved)
+     * @param {string} spec.type - price_above, price_below, percent_change or spread_above
+     * @param {number} spec.level - Price level (price_above/price_below)
+     * @param {number} spec.percent - Signed % move (percent_change; +5 = up 5%, -5 = down 5%)
+     * @param {number} spec.windowMinutes - Window for percent_change (default 60)
+     * @param {number} spec.spreadBps - Spread threshold in bps (spread_above)
+     * @param {boolean} spec.repeat - Re-arm after the condition clears (default false = fire once)
+     * @param {string} spec.note - Optional free-text note returned when the alert fires
+     * @returns {Object} Created alert
+     * @throws {Error} If the definition is invalid
+     */
+    create(spec) {
+        const type = spec.type ? spec.type.toLowerCase() : '';
+
+        if (!ALERT_TYPES.includes(type)) {
+            throw new Error(`Invalid alert type. Must be one of: ${ALERT_TYPES.join(', ')}`);
+        }
+
+        const condition = { type };
+
+        if (type === 'price_above' || type === 'price_below') {
+            condition.level = this._positiveNumber(spec.level, 'level');
+        } else if (type === 'percent_change') {
+            const percent = parseFloat(spec.percent);
+            if (!Number.isFinite(percent) || percent === 0) {
+                throw new Error('percent must be a non-zero number (e.g., 5 for +5%, -3 for -3%)');
+            }
+            const windowMinutes = spec.windowMinutes !== undefined ? parseFloat(spec.windowMinutes) : 60;
+            if (!(windowMinutes > 0 && windowMinutes <= MAX_WINDOW_MINUTES)) {
+                throw new Error(`windowMinutes must be between 0 and ${MAX_WINDOW_MINUTES}`);
+            }
+            condition.percent = percent;
+            condition.windowMinutes = windowMinutes;
+        } else {
+            condition.spreadBps = this._positiveNumber(spec.spreadBps, 'spreadBps');
+        }
+
+        const alert = {
+            id: `alert-${randomUUID().slice(0, 8)}`,
+            symbol: spec.symbol,
+            condition,
+            repeat: !!spec.repeat,
+            note: spec.note || null,
+            status: 'active',
+            armed: true,
+            createdAt: new Date().toISOString(),
+            lastCheckedAt: null,
+            lastValue: null,
+            triggerCount: 0,
+            lastTriggeredAt: null,
+            lastTrigger: null
+        };
+
+        this.alerts.push(alert);
+        this._save();
+        this.start();
+
+        return alert;
+    }
+
+    /**
+     * List alerts
+     * @param {string} status - Optional: active or triggered
+     * @returns {Array<Object>} Alerts
+     */
+    list(status = null) {
+        return status ? this.alerts.filter(a => a.status === status) : [...this.alerts];
+    }
+
+    /**
+     * Delete an alert
+     * @param {string} id - Alert id
+     * @returns {Object} Deleted alert
+     * @throws {Error} If the alert does not exist
+     */
+    delete(id) {
+        const index = this.alerts.findIndex(a => a.id === id);
+
+        if (index === -1) {
+            throw new Error(`Alert ${id} not found`);
+        }
+
+        const [removed] = this.alerts.splice(index, 1);
+        this._save();
+
+        return removed;
+    }
+
+    /**
+     * Start background evaluation (does not keep the process alive)
+     */
+    start() {
+        if (this.timer || !this.intervalMs || !this.alerts.some(a => a.status === 'active')) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.check(), this.intervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop background evaluation
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Evaluate all active alerts once
+     * @returns {Promise<Array<Object>>} Alerts that fired
+     */
+    async check() {
+        if (this.checking) {
+            return [];
+        }
+
+        this.checking = true;
+        const fired = [];
+
+        try {
+            const active = this.alerts.filter(a => a.status === 'active');
+
+            if (active.length === 0) {
+                this.stop();
+                return fired;
+            }
+
+            const symbols = [...new Set(active.map(a => a.symbol))];
+            const quotes = new Map();
+
+            for (const symbol of symbols) {
+                try {
+                    const quote = await this.getQuote(symbol);
+                    quotes.set(symbol, quote);
+                    this.recordPrice(symbol, quote.price);
+                } catch (error) {
+                    console.error(`Alert check: failed to get quote for ${symbol}:`, error.message);
+                }
+            }
+
+            const now = new Date().toISOString();
+
+            for (const alert of active) {
+                const quote = quotes.get(alert.symbol);
+                if (!quote) {
+                    continue;
+                }
+
+                const { met, value, detail } = this._evaluate(alert, quote);
+                alert.lastCheckedAt = now;
+                alert.lastValue = value;
+
+                if (!met) {
+                    alert.armed = true;
+                    continue;
+                }
+
+                // Repeating alerts fire again only after the condition cleared
+                if (!alert.armed) {
+                    continue;
+                }
+
+                alert.triggerCount++;
+                alert.lastTriggeredAt = now;
+                alert.lastTrigger = { ...detail, price: quote.price };
+                alert.armed = false;
+
+                if (!alert.repeat) {
+                    alert.status = 'triggered';
+                }
+
+                fired.push(alert);
+                this.emit('triggered', alert);
+            }
+
+            this._save();
+        } finally {
+            this.checking = false;
+        }
+
+        return fired;
+    }
+
+    /**
+     * Evaluate one alert against a quote
+     * @param {Object} alert - Alert
+     * @param {Object} quote - {price, bid, ask}
+     * @returns {Object} {met, value, detail}
+     * @private
+     */
+    _evaluate(alert, quote) {
+        const { condition } = alert;
+        const price = parseFloat(quote.price);
+
+        switch (condition.type) {
+            case 'price_above':
+                return { met: price >= condition.level, value: price, detail: { level: condition.level } };
+
+            case 'price_below':
+                return { met: price <= condition.level, value: price, detail: { level: condition.level } };
+
+            case 'percent_change': {
+                const reference = this._referencePrice(alert.symbol, condition.windowMinutes);
+                if (reference === null) {
+                    return { met: false, value: null, detail: null };
+                }
+                const change = (price - reference.price) / reference.price * 100;
+                const met = condition.percent > 0 ? change >= condition.percent : change <= condition.percent;
+                return {
+                    met,
+                    value: change,
+                    detail: {
+                        changePercent: change,
+                        referencePrice: reference.price,
+                        referenceTime: new Date(reference.time).toISOString()
+                    }
+                };
+            }
+
+            case 'spread_above': {
+                const bid = parseFloat(quote.bid);
+                const ask = parseFloat(quote.ask);
+                if (!(bid > 0 && ask > 0)) {
+                    return { met: false, value: null, detail: null };
+                }
+                const spreadBps = (ask - bid) / ((ask + bid) / 2) * 10000;
+                return {
+                    met: spreadBps >= condition.spreadBps,
+                    value: spreadBps,
+                    detail: { spreadBps, bid, ask }
+                };
+            }
+
+            default:
+                return { met: false, value: null, detail: null };
+        }
+    }
+
+    /**
+     * Keep price samples for percent_change windows
+     * @param {string} symbol - Symbol
+     * @param {string|number} price - Latest price
+     */
+    recordPrice(symbol, price) {
+        const samples = this.history.get(symbol) || [];
+        const now = Date.now();
+        samples.push({ time: now, price: parseFloat(price) });
+
+        // Drop samples older than the longest window any alert on this symbol uses
+        const longest = Math.max(
+            0,
+            ...this.alerts
+                .filter(a => a.symbol === symbol && a.condition.windowMinutes)
+                .map(a => a.condition.windowMinutes)
+        );
+        const cutoff = now - longest * 60 * 1000;
+
+        this.history.set(symbol, samples.filter(s => s.time >= cutoff));
+    }
+
+    /**
+     * Oldest recorded price within a window (the move is measured from there)
+     * @param {string} symbol - Symbol
+     * @param {number} windowMinutes - Window length
+     * @returns {Object|null} {time, price} or null with fewer than two samples
+     * @private
+     */
+    _referencePrice(symbol, windowMinutes) {
+        const cutoff = Date.now() - windowMinutes * 60 * 1000;
+        const samples = (this.history.get(symbol) || []).filter(s => s.time >= cutoff);
+
+        return samples.length > 1 ? samples[0] : null;
+    }
+
+    /**
+     * Parse a positive number parameter
+     * @param {*} value - Input value
+     * @param {string} name - Parameter name for errors
+     * @returns {number} Parsed value
+     * @throws {Error} If not a positive number
+     * @private
+     */
+    _positiveNumber(value, name) {
+        const number = parseFloat(value);
+        if (!(number > 0)) {
+            throw new Error(`${name} must be a positive number`);
+        }
+        return number;
+    }
+
+    /**
+     * Load persisted alerts
+     * @returns {Array<Object>} Alerts (empty if the file is missing or unreadable; an unreadable file is moved aside)
+     * @private
+     */
+    _load() {
+        return readJsonOrQuarantine(ALERTS_FILE, [], 'alerts');
+    }
+
+    /**
+     * Persist alerts
+     * @private
+     */
+    _save() {
+        try {
+            writeJson(ALERTS_FILE, this.alerts);
+        } catch (error) {
+            console.error('Failed to save alerts:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    AlertManager,
+    ALERT_TYPES,
+    DEFAULT_CHECK_INTERVAL_MS
+};
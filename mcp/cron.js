@@ -0,0 +1,170 @@
+/**
+ * Minimal cron schedule support
+ *
+ * Parses standard 5-field cron expressions (minute hour day-of-month month
+ * day-of-week) with *, lists, ranges and steps, plus a few aliases, and
+ * computes the next run time. All times are UTC.
+ */
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    hourly: '0 * * * *',
+    daily: '0 0 * * *',
+    weekly: '0 0 * * 0',
+    monthly: '0 0 1 * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Give up searching for a matching time after this many days (e.g., "0 0 31 2 *")
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Parse one cron field into the set of allowed values
+ * @param {string} field - Field text (e.g., "*\/15", "1-5", "0,30")
+ * @param {Object} spec - {name, min, max}
+ * @returns {Set<number>} Allowed values
+ * @throws {Error} If the field is invalid
+ */
+function parseField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron ${spec.name} field: "${field}"`);
+        }
+
+        const [, range, stepText] = match;
+        const step = stepText ? parseInt(stepText) : 1;
+        let start = spec.min;
+        let end = spec.max;
+
+        if (range !== '*') {
+            const [from, to] = range.split('-').map(Number);
+            start = from;
+            // "5/10" means from 5 to the end in steps of 10
+            end = to !== undefined ? to : (stepText ? spec.max : from);
+        }
+
+        if (step < 1 || start < spec.min || end > spec.max || start > end) {
+            throw new Error(`Invalid cron ${spec.name} field: "${field}" (allowed ${spec.min}-${spec.max})`);
+        }
+
+        for (let v = start; v <= end; v += step) {
+            values.add(v);
+        }
+    }
+
+    // Day-of-week 7 is an alias for Sunday
+    if (spec.name === 'dayOfWeek' && values.delete(7)) {
+        values.add(0);
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression or alias
+ * @param {string} expression - e.g., "0 9 * * 1-5", "@daily", "weekly"
+ * @returns {Object} Parsed schedule {expression, minute, hour, dayOfMonth, month, dayOfWeek, ...}
+ * @throws {Error} If the expression is invalid
+ */
+function parseCron(expression) {
+    if (!expression || typeof expression !== 'string') {
+        throw new Error('schedule must be a cron expression (e.g., "0 9 * * *") or one of: hourly, daily, weekly, monthly');
+    }
+
+    const normalized = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}". Expected 5 fields: minute hour day-of-month month day-of-week`);
+    }
+
+    const schedule = { expression: normalized };
+    FIELDS.forEach((spec, i) => {
+        schedule[spec.name] = parseField(parts[i], spec);
+    });
+
+    // Standard cron: if both day fields are restricted, either may match
+    schedule.dayOfMonthRestricted = parts[2] !== '*';
+    schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+    return schedule;
+}
+
+/**
+ * Check whether a UTC date matches the day fields of a schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Date
+ * @returns {boolean} True if the day matches
+ */
+function matchesDay(schedule, date) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+        return false;
+    }
+
+    const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+/**
+ * Compute the next run time strictly after a given time
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date|number} after - Reference time (default now)
+ * @returns {Date} Next matching time (UTC, whole minute)
+ * @throws {Error} If no matching time exists within the search range
+ */
+function nextCronTime(schedule, after = Date.now()) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(after);
+
+    // Start at the next whole minute
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+    const limit = date.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() < limit) {
+        if (!matchesDay(parsed, date)) {
+            // Skip to the start of the next day
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+
+        if (!parsed.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+
+        return date;
+    }
+
+    throw new Error(`Cron expression "${parsed.expression}" never matches`);
+}
+
+module.exports = {
+    parseCron,
+    nextCronTime
+};
@@ -0,0 +1,338 @@
+/**
+ * Recurring DCA (dollar-cost averaging) plans
+ *
+ * Each plan buys a fixed quote amount of a symbol with a market order on a
+ * cron schedule (UTC), optionally capped by a total budget and skipped
+ * while the price is above a limit. Plans and their run history are
+ * persisted in the data directory.
+ */
+
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { writeJson, readJsonOrQuarantine } = require('./storage');
+const { parseCron, nextCronTime } = require('./cron');
+
+const PLANS_FILE = 'dca-plans.json';
+
+// How often due plans are checked
+const TICK_INTERVAL_MS = 30 * 1000;
+
+// Runs missed by more than this (e.g., while the server was down) are skipped, not caught up
+const MISSED_RUN_GRACE_MS = 15 * 60 * 1000;
+
+// Run history entries kept per plan
+const MAX_HISTORY = 100;
+
+class DcaScheduler extends EventEmitter {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.executeBuy - Async (symbol, quoteAmount) => marketBuy result
+     * @param {Function} options.getPrice - Async (symbol) => current price
+     */
+    constructor(options = {}) {
+        super();
+        this.executeBuy = options.executeBuy;
+        this.getPrice = options.getPrice;
+        this.plans = this._load();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Create a plan
+     * @param {Object} spec - Plan definition
+     * @param {string} spec.symbol - Listed symbol (already resolved)
+     * @param {string} spec.quoteAmount - Quote amount per buy
+     * @param {string} spec.schedule - Cron expression (UTC) or hourly/daily/weekly/monthly
+     * @param {string} spec.maxTotalBudget - Optional: Stop once this much quote has been spent
+     * @param {string} spec.maxPrice - Optional: Skip runs while the price is above this
+     * @param {string} spec.note - Optional note
+     * @returns {Object} Created plan
+     * @throws {Error} If the definition is invalid
+     */
+    create(spec) {
+        const schedule = parseCron(spec.schedule);
+        const quoteAmount = parseFloat(spec.quoteAmount);
+        const maxTotalBudget = spec.maxTotalBudget ? parseFloat(spec.maxTotalBudget) : null;
+        const maxPrice = spec.maxPrice ? parseFloat(spec.maxPrice) : null;
+
+        if (!(quoteAmount > 0)) {
+            throw new Error('quoteAmount must be a positive number');
+        }
+        if (maxTotalBudget !== null && !(maxTotalBudget >= quoteAmount)) {
+            throw new Error('maxTotalBudget must be at least quoteAmount');
+        }
+        if (maxPrice !== null && !(maxPrice > 0)) {
+            throw new Error('maxPrice must be a positive number');
+        }
+
+        const plan = {
+            id: `dca-${randomUUID().slice(0, 8)}`,
+            symbol: spec.symbol,
+            quoteAmount,
+            schedule: schedule.expression,
+            maxTotalBudget,
+            maxPrice,
+            note: spec.note || null,
+            status: 'active',
+            createdAt: new Date().toISOString(),
+            nextRunAt: nextCronTime(schedule).toISOString(),
+            totalSpent: 0,
+            totalBought: 0,
+            runCount: 0,
+            skipCount: 0,
+            failCount: 0,
+            history: []
+        };
+
+        this.plans.push(plan);
+        this._save();
+        this.start();
+
+        return plan;
+    }
+
+    /**
+     * List plans
+     * @param {string} status - Optional: active, paused, completed or cancelled
+     * @returns {Array<Object>} Plans
+     */
+    list(status = null) {
+        return status ? this.plans.filter(p => p.status === status) : [...this.plans];
+    }
+
+    /**
+     * Get a plan by id
+     * @param {string} id - Plan id
+     * @returns {Object} Plan
+     * @throws {Error} If the plan does not exist
+     */
+    get(id) {
+        const plan = this.plans.find(p => p.id === id);
+        if (!plan) {
+            throw new Error(`DCA plan ${id} not found`);
+        }
+        return plan;
+    }
+
+    /**
+     * Pause or resume a plan
+     * @param {string} id - Plan id
+     * @param {boolean} paused - True to pause, false to resume
+     * @returns {Object} Updated plan
+     * @throws {Error} If the plan is finished
+     */
+    setPaused(id, paused) {
+        const plan = this.get(id);
+
+        if (!['active', 'paused'].includes(plan.status)) {
+            throw new Error(`DCA plan ${id} is ${plan.status} and cannot be ${paused ? 'paused' : 'resumed'}`);
+        }
+
+        plan.status = paused ? 'paused' : 'active';
+        // Resumed plans continue from the next scheduled time, without catching up
+        plan.nextRunAt = paused ? null : nextCronTime(plan.schedule).toISOString();
+
+        this._save();
+        this.start();
+
+        return plan;
+    }
+
+    /**
+     * Cancel a plan (kept with its history)
+     * @param {string} id - Plan id
+     * @returns {Object} Cancelled plan
+     */
+    cancel(id) {
+        const plan = this.get(id);
+
+        if (plan.status === 'cancelled') {
+            throw new Error(`DCA plan ${id} is already cancelled`);
+        }
+
+        plan.status = 'cancelled';
+        plan.nextRunAt = null;
+        this._save();
+
+        return plan;
+    }
+
+    /**
+     * Start the scheduler (does not keep the process alive)
+     */
+    start() {
+        if (this.timer || !this.plans.some(p => p.status === 'active')) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.runDue(), TICK_INTERVAL_MS);
+        this.timer.unref();
+        this.runDue();
+    }
+
+    /**
+     * Stop the scheduler
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run all plans that are due
+     * @returns {Promise<Array<Object>>} Run entries recorded in this pass
+     */
+    async runDue() {
+        if (this.running) {
+            return [];
+        }
+
+        this.running = true;
+        const runs = [];
+
+        try {
+            const now = Date.now();
+
+            for (const plan of this.plans) {
+                if (plan.status !== 'active' || !plan.nextRunAt || Date.parse(plan.nextRunAt) > now) {
+                    continue;
+                }
+
+                const scheduledFor = plan.nextRunAt;
+                const run = now - Date.parse(scheduledFor) > MISSED_RUN_GRACE_MS
+                    ? { status: 'missed', reason: 'Server was not running at the scheduled time' }
+                    : await this._execute(plan);
+
+                run.scheduledFor = scheduledFor;
+                run.time = new Date().toISOString();
+                this._record(plan, run);
+                runs.push(run);
+
+                this.emit('run', { plan, run });
+            }
+
+            if (runs.length > 0) {
+                this._save();
+            }
+
+            if (!this.plans.some(p => p.status === 'active')) {
+                this.stop();
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return runs;
+    }
+
+    /**
+     * Execute one plan run: budget and price checks, then the market buy
+     * @param {Object} plan - Plan
+     * @returns {Promise<Object>} Run entry
+     * @private
+     */
+    async _execute(plan) {
+        if (plan.maxTotalBudget !== null && plan.totalSpent + plan.quoteAmount > plan.maxTotalBudget + 1e-9) {
+            return { status: 'budget_exhausted', reason: `Spent ${plan.totalSpent} of ${plan.maxTotalBudget} budget` };
+        }
+
+        let price = null;
+        try {
+            price = parseFloat(await this.getPrice(plan.symbol));
+        } catch (error) {
+            if (plan.maxPrice !== null) {
+                return { status: 'failed', reason: `Price check failed: ${error.message}` };
+            }
+        }
+
+        if (plan.maxPrice !== null && price > plan.maxPrice) {
+            return { status: 'skipped', price, reason: `Price ${price} above limit ${plan.maxPrice}` };
+        }
+
+        try {
+            const result = await this.executeBuy(plan.symbol, String(plan.quoteAmount));
+
+            if (!result.success) {
+                const message = typeof result.error === 'object'
+                    ? result.error.message || JSON.stringify(result.error)
+                    : result.error;
+                return { status: 'failed', price, reason: message };
+            }
+
+            const order = result.order;
+            const quoteSpent = parseFloat(order.cumQuote) || plan.quoteAmount;
+            const executedQty = parseFloat(order.executedQty) || 0;
+
+            return {
+                status: 'executed',
+                price: executedQty > 0 ? quoteSpent / executedQty : price,
+                orderId: order.orderId,
+                clientOrderId: order.clientOrderId,
+                quoteSpent,
+                executedQty
+            };
+        } catch (error) {
+            return { status: 'failed', price, reason: error.message };
+        }
+    }
+
+    /**
+     * Apply a run to plan totals, history and next run time
+     * @param {Object} plan - Plan
+     * @param {Object} run - Run entry
+     * @private
+     */
+    _record(plan, run) {
+        if (run.status === 'executed') {
+            plan.runCount++;
+            plan.totalSpent += run.quoteSpent;
+            plan.totalBought += run.executedQty;
+        } else if (run.status === 'failed') {
+            plan.failCount++;
+        } else {
+            plan.skipCount++;
+        }
+
+        plan.history.push(run);
+        if (plan.history.length > MAX_HISTORY) {
+            plan.history.splice(0, plan.history.length - MAX_HISTORY);
+        }
+
+        const budgetLeft = plan.maxTotalBudget === null || plan.totalSpent + plan.quoteAmount <= plan.maxTotalBudget + 1e-9;
+
+        if (run.status === 'budget_exhausted' || !budgetLeft) {
+            plan.status = 'completed';
+            plan.nextRunAt = null;
+        } else {
+            plan.nextRunAt = nextCronTime(plan.schedule).toISOString();
+        }
+    }
+
+    /**
+     * Load persisted plans
+     * @returns {Array<Object>} Plans (empty if the file is missing or unreadable; an unreadable file is moved aside)
+     * @private
+     */
+    _load() {
+        return readJsonOrQuarantine(PLANS_FILE, [], 'DCA plans');
+    }
+
+    /**
+     * Persist plans
+     * @private
+     */
+    _save() {
+        try {
+            writeJson(PLANS_FILE, this.plans);
+        } catch (error) {
+            console.error('Failed to save DCA plans:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    DcaScheduler
+};
@@ -97,6 +97,31 @@ const DEPOSIT_CONTRACT_ABI = [
     'event DepositFailed(address indexed account, address indexed currency, bool isNative, uint256 amount)'
 ];
 
+/**
+ * Deposit contract broker ids per exchange account
+ * The broker argument of deposit()/depositNative() selects the credited account.
+ */
+const DEPOSIT_BROKERS = {
+    spot: 1000,
+    futures: 0
+};
+
+/**
+ * Get the deposit broker id for a target exchange account
+ * @param {string} targetAccount - Target account: spot or futures (default spot)
+ * @returns {number} Broker id
+ * @throws {Error} If target account is unknown
+ */
+function getDepositBroker(targetAccount = 'spot') {
+    const account = (targetAccount || 'spot').toLowerCase();
+
+    if (!(account in DEPOSIT_BROKERS)) {
+        throw new Error(`Invalid target account. Must be one of: ${Object.keys(DEPOSIT_BROKERS).join(', ')}`);
+    }
+
+    return DEPOSIT_BROKERS[account];
+}
+
 /**
  * Get deposit contract info for a network
  * @param {string} network - Network name (ethereum, arbitrum, bnb, solana)
@@ -135,10 +160,40 @@ function isDepositAvailable(network) {
     }
 }
 
+/**
+ * Get the EVM chain id of a network, as the exchange's withdraw endpoints expect it
+ * @param {string} network - Network name (ethereum, arbitrum, bnb)
+ * @returns {string|null} Chain id (e.g., "42161"), or null for non-EVM or unknown networks
+ */
+function getChainId(network) {
+    const contract = network ? DEPOSIT_CONTRACTS[network.toLowerCase()] : null;
+    return contract && contract.chainId ? String(contract.chainId) : null;
+}
+
+/**
+ * Get the block explorer link for a transaction
+ * @param {string} network - Network name (ethereum, arbitrum, bnb, solana)
+ * @param {string} txHash - Transaction hash or signature
+ * @returns {string|null} Explorer URL, or null without a hash or for an unknown network
+ */
+function getExplorerTxUrl(network, txHash) {
+    const contract = network ? DEPOSIT_CONTRACTS[network.toLowerCase()] : null;
+
+    if (!contract || !txHash) {
+        return null;
+    }
+
+    return `${contract.explorerUrl}${txHash}`;
+}
+
 module.exports = {
     DEPOSIT_CONTRACTS,
     ERC20_ABI,
     DEPOSIT_CONTRACT_ABI,
+    DEPOSIT_BROKERS,
     getDepositContract,
+    getDepositBroker,
+    getChainId,
+    getExplorerTxUrl,
     isDepositAvailable
 };
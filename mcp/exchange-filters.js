@@ -0,0 +1,213 @@
+/**
+ * Exchange symbol filter helpers
+ *
+ * AsterDEX publishes per-symbol trading rules (LOT_SIZE, MIN_NOTIONAL, ...)
+ * in /api/v1/exchangeInfo. Orders that don't respect them are rejected, so
+ * quantities and prices are rounded and checked here before signing.
+ */
+
+/**
+ * Find a filter of a given type in a symbol's filter list
+ * @param {Object} symbolInfo - Symbol entry from exchangeInfo
+ * @param {string} filterType - Filter type (e.g., "LOT_SIZE")
+ * @returns {Object|null} Filter object or null if not present
+ */
+function getSymbolFilter(symbolInfo, filterType) {
+    if (!symbolInfo || !Array.isArray(symbolInfo.filters)) {
+        return null;
+    }
+
+    return symbolInfo.filters.find(f => f.filterType === filterType) || null;
+}
+
+/**
+ * Count decimal places of a step/tick size string (e.g., "0.00100000" -> 3)
+ * @param {string|number} step - Step size
+ * @returns {number} Number of significant decimal places
+ */
+function getStepPrecision(step) {
+    const str = String(step);
+
+    if (!str.includes('.')) {
+        return 0;
+    }
+
+    const decimals = str.split('.')[1].replace(/0+$/, '');
+    return decimals.length;
+}
+
+/**
+ * Round a value DOWN to a multiple of step
+ * @param {string|number} value - Value to round
+ * @param {string|number} step - Step size (0 disables rounding)
+ * @returns {string} Rounded value as a fixed-precision string
+ */
+function roundDownToStep(value, step) {
+    const numValue = parseFloat(value);
+    const numStep = parseFloat(step);
+
+    if (!numStep) {
+        return String(value);
+    }
+
+    const precision = getStepPrecision(step);
+    // Small epsilon so values like 0.3 / 0.1 don't floor to 2
+    const steps = Math.floor(numValue / numStep + 1e-9);
+
+    return (steps * numStep).toFixed(precision);
+}
+
+/**
+ * Resolve the quantity filter for an order type
+ * MARKET orders use MARKET_LOT_SIZE when the exchange provides a non-zero step.
+ * @param {Object} symbolInfo - Symbol entry from exchangeInfo
+ * @param {string} orderType - Order type (MARKET, LIMIT)
+ * @returns {Object|null} Lot size filter
+ */
+function getLotSizeFilter(symbolInfo, orderType = 'LIMIT') {
+    const lotSize = getSymbolFilter(symbolInfo, 'LOT_SIZE');
+
+    if (orderType === 'MARKET') {
+        const marketLotSize = getSymbolFilter(symbolInfo, 'MARKET_LOT_SIZE');
+        if (marketLotSize && parseFloat(marketLotSize.stepSize) > 0) {
+            return marketLotSize;
+        }
+    }
+
+    return lotSize;
+}
+
+/**
+ * Get the minimum notional value for a symbol (MIN_NOTIONAL or NOTIONAL filter)
+ * @param {Object} symbolInfo - Symbol entry from exchangeInfo
+ * @returns {number} Minimum notional, 0 if not restricted
+ */
+function getMinNotional(symbolInfo) {
+    const filter = getSymbolFilter(symbolInfo, 'MIN_NOTIONAL') || getSymbolFilter(symbolInfo, 'NOTIONAL');
+
+    if (!filter) {
+        return 0;
+    }
+
+    return parseFloat(filter.minNotional || filter.notional || 0) || 0;
+}
+
+/**
+ * Round an order quantity down to the symbol's LOT_SIZE and validate it
+ * @param {Object} symbolInfo - Symbol entry from exchangeInfo
+ * @param {string|number} quantity - Requested base asset quantity
+ * @param {Object} options - Options
+ * @param {string} options.orderType - Order type (MARKET, LIMIT)
+ * @param {string|number} options.price - Price used for the MIN_NOTIONAL check (optional)
+ * @returns {string} Rounded quantity
+ * @throws {Error} If the rounded quantity violates LOT_SIZE or MIN_NOTIONAL
+ */
+function adjustQuantity(symbolInfo, quantity, options = {}) {
+    const { orderType = 'LIMIT', price = null } = options;
+    const lotSize = getLotSizeFilter(symbolInfo, orderType);
+
+    let adjusted = String(quantity);
+
+    if (lotSize) {
+        adjusted = roundDownToStep(quantity, lotSize.stepSize);
+
+        const minQty = parseFloat(lotSize.minQty) || 0;
+        const maxQty = parseFloat(lotSize.maxQty) || 0;
+        const numAdjusted = parseFloat(adjusted);
+
+        if (numAdjusted <= 0 || numAdjusted < minQty) {
+            throw new Error(
+                `Quantity ${quantity} is below the minimum of ${lotSize.minQty} for ${symbolInfo.symbol} ` +
+                `(step size ${lotSize.stepSize})`
+            );
+        }
+
+        if (maxQty > 0 && numAdjusted > maxQty) {
+            throw new Error(`Quantity ${quantity} exceeds the maximum of ${lotSize.maxQty} for ${symbolInfo.symbol}`);
+        }
+    }
+
+    if (price !== null && price !== undefined) {
+        const minNotional = getMinNotional(symbolInfo);
+        const notional = parseFloat(adjusted) * parseFloat(price);
+
+        if (minNotional > 0 && notional < minNotional) {
+            throw new Error(
+                `Order value ${notional.toFixed(8)} is below the minimum notional of ${minNotional} for ${symbolInfo.symbol}`
+            );
+        }
+    }
+
+    return adjusted;
+}
+
+/**
+ * Round a limit price to the symbol's PRICE_FILTER tick and validate it
+ * BUY prices are rounded down and SELL prices up, so the order is never worse than requested.
+ * @param {Object} symbolInfo - Symbol entry from exchangeInfo
+ * @param {string|number} price - Requested limit price
+ * @param {Object} options - Options
+ * @param {string} options.side - Order side (BUY, SELL)
+ * @param {string|number} options.referencePrice - Current market price for the PERCENT_PRICE check (optional)
+ * @returns {string} Rounded price
+ * @throws {Error} If the price violates PRICE_FILTER or PERCENT_PRICE
+ */
+function adjustPrice(symbolInfo, price, options = {}) {
+    const { side = 'BUY', referencePrice = null } = options;
+    const priceFilter = getSymbolFilter(symbolInfo, 'PRICE_FILTER');
+
+    let adjusted = String(price);
+
+    if (priceFilter) {
+        const tickSize = parseFloat(priceFilter.tickSize) || 0;
+
+        if (tickSize > 0) {
+            adjusted = roundDownToStep(price, priceFilter.tickSize);
+
+            // Round SELL prices up to the next tick instead
+            if (side === 'SELL' && parseFloat(adjusted) < parseFloat(price)) {
+                adjusted = (parseFloat(adjusted) + tickSize).toFixed(getStepPrecision(priceFilter.tickSize));
+            }
+        }
+
+        const minPrice = parseFloat(priceFilter.minPrice) || 0;
+        const maxPrice = parseFloat(priceFilter.maxPrice) || 0;
+        const numAdjusted = parseFloat(adjusted);
+
+        if (numAdjusted <= 0 || numAdjusted < minPrice) {
+            throw new Error(`Price ${price} is below the minimum price of ${priceFilter.minPrice} for ${symbolInfo.symbol}`);
+        }
+
+        if (maxPrice > 0 && numAdjusted > maxPrice) {
+            throw new Error(`Price ${price} exceeds the maximum price of ${priceFilter.maxPrice} for ${symbolInfo.symbol}`);
+        }
+    }
+
+    const percentPrice = getSymbolFilter(symbolInfo, 'PERCENT_PRICE');
+    const numReference = parseFloat(referencePrice);
+
+    if (percentPrice && numReference > 0) {
+        const upper = numReference * parseFloat(percentPrice.multiplierUp);
+        const lower = numReference * parseFloat(percentPrice.multiplierDown);
+        const numAdjusted = parseFloat(adjusted);
+
+        if (numAdjusted > upper || numAdjusted < lower) {
+            throw new Error(
+                `Price ${adjusted} is outside the allowed range ${lower.toFixed(8)} - ${upper.toFixed(8)} ` +
+                `for ${symbolInfo.symbol} (PERCENT_PRICE around market price ${referencePrice})`
+            );
+        }
+    }
+
+    return adjusted;
+}
+
+module.exports = {
+    getSymbolFilter,
+    getStepPrecision,
+    roundDownToStep,
+    getLotSizeFilter,
+    getMinNotional,
+    adjustQuantity,
+    adjustPrice
+};
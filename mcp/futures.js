@@ -0,0 +1,644 @@
+const {
+    handleError,
+    validateAmount,
+    generateClientOrderId,
+    parseTimestamp,
+    makeApiRequest
+} = require('./utils');
+const { adjustQuantity, adjustPrice } = require('./exchange-filters');
+const {
+    annualizeFundingRate,
+    summarizeFundingRates,
+    DEFAULT_FUNDING_INTERVAL_HOURS
+} = require('./market-analysis');
+const { SymbolRegistry } = require('./symbol-registry');
+
+/**
+ * FuturesAPI - AsterDEX USDⓈ-M futures tool implementations
+ *
+ * Talks to the futures API (separate base URL from spot) with the same
+ * API key and HMAC signing as the spot tools, so agents can hedge spot holdings.
+ */
+class FuturesAPI {
+    /**
+     * @param {Object} options - Configuration
+     * @param {string} options.apiKey - Aster API key
+     * @param {string} options.apiSecret - Aster API secret
+     * @param {number} options.recvWindow - Receive window for signed requests
+     * @param {TimeSync} options.timeSync - Shared exchange clock offset
+     */
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || '';
+        this.apiSecret = options.apiSecret || '';
+        this.recvWindow = options.recvWindow || 5000;
+        this.timeSync = options.timeSync || null;
+        this.baseUrl = process.env.ASTER_FUTURES_API_BASE_URL || 'https://fapi.asterdex.com';
+
+        // Futures symbols and filters differ from spot, so they get their own registry
+        this.symbolRegistry = new SymbolRegistry(
+            () => this._futuresApiRequest('/fapi/v1/exchangeInfo', 'GET', {}, false)
+        );
+
+        // Per-symbol funding intervals (fundingInfo), loaded lazily
+        this.fundingIntervals = null;
+
+        console.error(`Futures API Base URL: ${this.baseUrl}`);
+    }
+
+    /**
+     * Make request to Aster futures API (wrapper around makeApiRequest util)
+     * @param {string} endpoint - API endpoint (e.g., "/fapi/v2/positionRisk")
+     * @param {string} method - HTTP method (GET, POST, DELETE)
+     * @param {Object} params - Request parameters
+     * @param {boolean} signed - Whether request requires signature (TRADE/USER_DATA)
+     * @returns {Promise<Object>} API response
+     * @private
+     */
+    async _futuresApiRequest(endpoint, method = 'GET', params = {}, signed = false) {
+        if (signed && this.timeSync) {
+            await this.timeSync.ensureSynced();
+        }
+
+        return makeApiRequest({
+            baseUrl: this.baseUrl,
+            endpoint,
+            method,
+            params,
+            signed,
+            apiKey: this.apiKey,
+            apiSecret: this.apiSecret,
+            recvWindow: this.recvWindow,
+            timeOffset: this.timeSync ? this.timeSync.getOffset() : 0
+        });
+    }
+
+    /**
+     * Get open futures positions
+     * @param {string} symbol - Optional futures symbol (e.g., "BTCUSDT")
+     * @param {boolean} includeEmpty - Include symbols with zero position (default false)
+     * @returns {Object} Positions with size, entry/mark price, PnL, leverage and margin mode
+     */
+    async getPositions(symbol = null, includeEmpty = false) {
+        try {
+            const params = {};
+
+            if (symbol) {
+                const info = await this.symbolRegistry.resolve(symbol);
+                params.symbol = info.symbol;
+            }
+
+            const response = await this._futuresApiRequest('/fapi/v2/positionRisk', 'GET', params, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const positions = (response.data || [])
+                .filter(p => includeEmpty || parseFloat(p.positionAmt) !== 0)
+                .map(p => ({
+                    symbol: p.symbol,
+                    positionSide: p.positionSide,
+                    side: parseFloat(p.positionAmt) > 0 ? 'LONG' : parseFloat(p.positionAmt) < 0 ? 'SHORT' : 'FLAT',
+                    positionAmt: p.positionAmt,
+                    entryPrice: p.entryPrice,
+                    markPrice: p.markPrice,
+                    unrealizedProfit: p.unRealizedProfit,
+                    liquidationPrice: p.liquidationPrice,
+                    leverage: p.leverage,
+                    marginType: p.marginType,
+                    isolatedMargin: p.isolatedMargin,
+                    notional: p.notional,
+                    updateTime: p.updateTime
+                }));
+
+            return {
+                success: true,
+                count: positions.length,
+                positions,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Set initial leverage for a futures symbol
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @param {number} leverage - Leverage (1-125)
+     * @returns {Object} Applied leverage and max notional
+     */
+    async setLeverage(symbol, leverage) {
+        try {
+            const info = await this.symbolRegistry.resolve(symbol);
+            const leverageInt = parseInt(leverage);
+
+            if (!Number.isInteger(leverageInt) || leverageInt < 1 || leverageInt > 125) {
+                throw new Error('leverage must be an integer between 1 and 125');
+            }
+
+            const response = await this._futuresApiRequest('/fapi/v1/leverage', 'POST', {
+                symbol: info.symbol,
+                leverage: leverageInt
+            }, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                symbol: response.data.symbol,
+                leverage: response.data.leverage,
+                maxNotionalValue: response.data.maxNotionalValue,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Set margin mode for a futures symbol
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @param {string} marginType - ISOLATED or CROSSED
+     * @returns {Object} Applied margin type
+     */
+    async setMarginType(symbol, marginType) {
+        try {
+            const info = await this.symbolRegistry.resolve(symbol);
+            const typeUpper = marginType ? marginType.toUpperCase() : '';
+
+            if (!['ISOLATED', 'CROSSED'].includes(typeUpper)) {
+                throw new Error('Invalid marginType. Must be one of: ISOLATED, CROSSED');
+            }
+
+            const response = await this._futuresApiRequest('/fapi/v1/marginType', 'POST', {
+                symbol: info.symbol,
+                marginType: typeUpper
+            }, true);
+
+            // -4046: "No need to change margin type" - already in the requested mode
+            if (!response.success && response.error.code !== -4046) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                symbol: info.symbol,
+                marginType: typeUpper,
+                changed: response.success,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Place a futures market order
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @param {string} side - BUY or SELL
+     * @param {string} quantity - Contract quantity in base asset
+     * @param {boolean} reduceOnly - Only reduce an existing position
+     * @param {string} positionSide - Optional: BOTH (one-way mode, default), LONG or SHORT (hedge mode)
+     * @returns {Object} Order result
+     */
+    async marketOrder(symbol, side, quantity, reduceOnly = false, positionSide = null) {
+        try {
+            validateAmount(quantity, 'quantity');
+            const sideUpper = this._validateSide(side);
+            const info = await this.symbolRegistry.resolve(symbol);
+
+            // Reduce-only orders are exempt from MIN_NOTIONAL
+            const price = reduceOnly ? null : await this._getLastPrice(info.symbol);
+
+            const orderParams = {
+                symbol: info.symbol,
+                side: sideUpper,
+                type: 'MARKET',
+                quantity: adjustQuantity(info, quantity, { orderType: 'MARKET', price }),
+                newClientOrderId: generateClientOrderId(),
+                ...this._positionParams(reduceOnly, positionSide)
+            };
+
+            const response = await this._futuresApiRequest('/fapi/v1/order', 'POST', orderParams, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                order: this._formatOrder(response.data),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Place a futures limit order
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @param {string} side - BUY or SELL
+     * @param {string} price - Limit price
+     * @param {string} quantity - Contract quantity in base asset
+     * @param {Object} options - Order options
+     * @param {string} options.timeInForce - GTC (default), IOC or FOK
+     * @param {boolean} options.postOnly - Maker-only (GTX)
+     * @param {boolean} options.reduceOnly - Only reduce an existing position
+     * @param {string} options.positionSide - Optional: BOTH, LONG or SHORT
+     * @returns {Object} Order result
+     */
+    async limitOrder(symbol, side, price, quantity, options = {}) {
+        try {
+            validateAmount(price, 'price');
+            validateAmount(quantity, 'quantity');
+            const sideUpper = this._validateSide(side);
+
+            const { postOnly = false, reduceOnly = false, positionSide = null } = options;
+            const tifUpper = (options.timeInForce || 'GTC').toUpperCase();
+
+            if (!['GTC', 'IOC', 'FOK'].includes(tifUpper)) {
+                throw new Error('Invalid timeInForce. Must be one of: GTC, IOC, FOK');
+            }
+
+            if (postOnly && tifUpper !== 'GTC') {
+                throw new Error(`postOnly orders rest on the book and cannot be combined with ${tifUpper}`);
+            }
+
+            const info = await this.symbolRegistry.resolve(symbol);
+            const lastPrice = await this._getLastPrice(info.symbol);
+
+            const orderPrice = adjustPrice(info, price, { side: sideUpper, referencePrice: lastPrice });
+            const orderQty = adjustQuantity(info, quantity, {
+                orderType: 'LIMIT',
+                price: reduceOnly ? null : orderPrice
+            });
+
+            const orderParams = {
+                symbol: info.symbol,
+                side: sideUpper,
+                type: 'LIMIT',
+                // GTX = Good Till Crossing (post-only)
+                timeInForce: postOnly ? 'GTX' : tifUpper,
+                price: orderPrice,
+                quantity: orderQty,
+                newClientOrderId: generateClientOrderId(),
+                ...this._positionParams(reduceOnly, positionSide)
+            };
+
+            const response = await this._futuresApiRequest('/fapi/v1/order', 'POST', orderParams, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                postOnly: !!postOnly,
+                order: this._formatOrder(response.data),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get premium index: mark price, index price, premium and current funding rate
+     * Without a symbol, returns all perpetuals ranked by annualized funding to compare carry.
+     * @param {string} symbol - Optional futures symbol (e.g., "BTCUSDT")
+     * @param {Object} options - Options
+     * @param {number} options.limit - Max symbols when listing all (default 20)
+     * @param {string} options.sort - highest (default) or lowest annualized funding first
+     * @returns {Object} Premium index entries with annualized funding
+     */
+    async getPremiumIndex(symbol = null, options = {}) {
+        try {
+            const { limit = 20 } = options;
+            const sort = (options.sort || 'highest').toLowerCase();
+
+            if (!['highest', 'lowest'].includes(sort)) {
+                throw new Error('Invalid sort. Must be one of: highest, lowest');
+            }
+
+            const params = {};
+            if (symbol) {
+                const info = await this.symbolRegistry.resolve(symbol);
+                params.symbol = info.symbol;
+            }
+
+            const response = await this._futuresApiRequest('/fapi/v1/premiumIndex', 'GET', params, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const intervals = await this._getFundingIntervals();
+            const rows = Array.isArray(response.data) ? response.data : [response.data];
+            const entries = rows.map(row => this._formatPremiumIndex(row, intervals));
+
+            if (symbol) {
+                return {
+                    success: true,
+                    ...entries[0],
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const direction = sort === 'lowest' ? 1 : -1;
+            const ranked = entries
+                .filter(e => e.annualizedFundingRate !== null)
+                .sort((a, b) => direction * (a.annualizedFundingRate - b.annualizedFundingRate))
+                .slice(0, Math.max(1, parseInt(limit) || 20));
+
+            return {
+                success: true,
+                sort,
+                totalSymbols: entries.length,
+                count: ranked.length,
+                symbols: ranked,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get funding rate history with average and annualized funding
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @param {Object} options - Options
+     * @param {number|string} options.startTime - Optional start (ms or date string)
+     * @param {number|string} options.endTime - Optional end (ms or date string)
+     * @param {number} options.limit - Number of records (default 100, max 1000)
+     * @param {boolean} options.includeHistory - Include individual records (default true)
+     * @returns {Object} Funding history and summary
+     */
+    async getFundingRateHistory(symbol, options = {}) {
+        try {
+            const { limit = 100, includeHistory = true } = options;
+            const info = await this.symbolRegistry.resolve(symbol);
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+
+            const params = {
+                symbol: info.symbol,
+                limit: Math.min(Math.max(parseInt(limit) || 100, 1), 1000)
+            };
+            if (startTime) params.startTime = startTime;
+            if (endTime) params.endTime = endTime;
+
+            const response = await this._futuresApiRequest('/fapi/v1/fundingRate', 'GET', params, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const records = (response.data || []).map(r => ({
+                fundingTime: r.fundingTime,
+                fundingRate: parseFloat(r.fundingRate),
+                markPrice: r.markPrice !== undefined ? r.markPrice : null
+            }));
+            const summary = summarizeFundingRates(records);
+
+            const result = {
+                success: true,
+                symbol: info.symbol,
+                summary,
+                timestamp: new Date().toISOString()
+            };
+
+            if (includeHistory) {
+                result.history = records.map(r => ({
+                    time: new Date(r.fundingTime).toISOString(),
+                    fundingRate: r.fundingRate,
+                    annualizedRate: annualizeFundingRate(r.fundingRate, summary.intervalHours),
+                    markPrice: r.markPrice
+                }));
+            }
+
+            return result;
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get open interest for a futures symbol, with notional value at the mark price
+     * @param {string} symbol - Futures symbol (e.g., "BTCUSDT")
+     * @returns {Object} Open interest in contracts and quote notional
+     */
+    async getOpenInterest(symbol) {
+        try {
+            const info = await this.symbolRegistry.resolve(symbol);
+
+            const [oiResponse, premiumResponse] = await Promise.all([
+                this._futuresApiRequest('/fapi/v1/openInterest', 'GET', { symbol: info.symbol }, false),
+                this._futuresApiRequest('/fapi/v1/premiumIndex', 'GET', { symbol: info.symbol }, false)
+            ]);
+
+            if (!oiResponse.success) {
+                return {
+                    success: false,
+                    error: oiResponse.error
+                };
+            }
+
+            const openInterest = parseFloat(oiResponse.data.openInterest);
+            // Notional is best-effort; open interest alone is still useful
+            const markPrice = premiumResponse.success ? parseFloat(premiumResponse.data.markPrice) : null;
+
+            return {
+                success: true,
+                symbol: info.symbol,
+                baseAsset: info.baseAsset,
+                quoteAsset: info.quoteAsset,
+                openInterest,
+                markPrice,
+                openInterestNotional: markPrice !== null ? openInterest * markPrice : null,
+                time: oiResponse.data.time ? new Date(oiResponse.data.time).toISOString() : null,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Load per-symbol funding intervals from /fapi/v1/fundingInfo
+     * Symbols missing from the response settle at the default interval.
+     * @returns {Promise<Map<string, number>>} Symbol -> funding interval in hours
+     * @private
+     */
+    async _getFundingIntervals() {
+        if (this.fundingIntervals) {
+            return this.fundingIntervals;
+        }
+
+        const response = await this._futuresApiRequest('/fapi/v1/fundingInfo', 'GET', {}, false);
+
+        if (!response.success) {
+            // Not cached, so the next call retries
+            return new Map();
+        }
+
+        this.fundingIntervals = new Map(
+            (response.data || [])
+                .filter(f => f.fundingIntervalHours)
+                .map(f => [f.symbol, parseInt(f.fundingIntervalHours)])
+        );
+
+        return this.fundingIntervals;
+    }
+
+    /**
+     * Normalize a premium index row and compute premium and annualized funding
+     * @param {Object} row - Raw premiumIndex entry
+     * @param {Map<string, number>} intervals - Symbol -> funding interval in hours
+     * @returns {Object} Formatted entry
+     * @private
+     */
+    _formatPremiumIndex(row, intervals) {
+        const markPrice = parseFloat(row.markPrice);
+        const indexPrice = parseFloat(row.indexPrice);
+        const fundingRate = parseFloat(row.lastFundingRate);
+        const intervalHours = intervals.get(row.symbol) || DEFAULT_FUNDING_INTERVAL_HOURS;
+
+        return {
+            symbol: row.symbol,
+            markPrice,
+            indexPrice,
+            estimatedSettlePrice: row.estimatedSettlePrice !== undefined ? parseFloat(row.estimatedSettlePrice) : null,
+            // Mark over index; positive means perps trade at a premium to spot
+            premiumBps: indexPrice > 0 ? (markPrice - indexPrice) / indexPrice * 10000 : null,
+            fundingRate: Number.isFinite(fundingRate) ? fundingRate : null,
+            fundingIntervalHours: intervalHours,
+            annualizedFundingRate: annualizeFundingRate(fundingRate, intervalHours),
+            interestRate: row.interestRate !== undefined ? parseFloat(row.interestRate) : null,
+            nextFundingTime: row.nextFundingTime ? new Date(row.nextFundingTime).toISOString() : null,
+            time: row.time ? new Date(row.time).toISOString() : null
+        };
+    }
+
+    /**
+     * Validate and normalize order side
+     * @param {string} side - BUY or SELL
+     * @returns {string} Uppercase side
+     * @throws {Error} If side is invalid
+     * @private
+     */
+    _validateSide(side) {
+        const sideUpper = side ? side.toUpperCase() : '';
+        if (!['BUY', 'SELL'].includes(sideUpper)) {
+            throw new Error('Invalid side. Must be one of: BUY, SELL');
+        }
+        return sideUpper;
+    }
+
+    /**
+     * Build reduceOnly / positionSide order params
+     * In hedge mode (LONG/SHORT) the exchange rejects reduceOnly; closing is implied by side.
+     * @param {boolean} reduceOnly - Only reduce an existing position
+     * @param {string} positionSide - BOTH, LONG or SHORT
+     * @returns {Object} Order params
+     * @private
+     */
+    _positionParams(reduceOnly, positionSide) {
+        const params = {};
+        const sideUpper = positionSide ? positionSide.toUpperCase() : null;
+
+        if (sideUpper && !['BOTH', 'LONG', 'SHORT'].includes(sideUpper)) {
+            throw new Error('Invalid positionSide. Must be one of: BOTH, LONG, SHORT');
+        }
+
+        if (sideUpper) {
+            params.positionSide = sideUpper;
+        }
+
+        if (reduceOnly) {
+            if (sideUpper && sideUpper !== 'BOTH') {
+                throw new Error('reduceOnly cannot be used with positionSide LONG/SHORT (hedge mode)');
+            }
+            params.reduceOnly = 'true';
+        }
+
+        return params;
+    }
+
+    /**
+     * Get last traded futures price
+     * @param {string} symbol - Futures symbol
+     * @returns {Promise<string>} Last price
+     * @throws {Error} If price cannot be fetched
+     * @private
+     */
+    async _getLastPrice(symbol) {
+        const response = await this._futuresApiRequest('/fapi/v1/ticker/price', 'GET', { symbol }, false);
+
+        if (!response.success) {
+            throw new Error(`Failed to get futures price for ${symbol}: ${response.error.message}`);
+        }
+
+        return response.data.price;
+    }
+
+    /**
+     * Normalize futures order data
+     * @param {Object} orderData - Raw order response
+     * @returns {Object} Formatted order
+     * @private
+     */
+    _formatOrder(orderData) {
+        return {
+            orderId: orderData.orderId,
+            clientOrderId: orderData.clientOrderId,
+            symbol: orderData.symbol,
+            side: orderData.side,
+            positionSide: orderData.positionSide,
+            type: orderData.type,
+            status: orderData.status,
+            timeInForce: orderData.timeInForce,
+            reduceOnly: orderData.reduceOnly,
+            price: orderData.price,
+            avgPrice: orderData.avgPrice,
+            origQty: orderData.origQty,
+            executedQty: orderData.executedQty,
+            cumQuote: orderData.cumQuote,
+            updateTime: orderData.updateTime
+        };
+    }
+}
+
+module.exports = FuturesAPI;
@@ -0,0 +1,656 @@
+/**
+ * Grid trading strategy
+ *
+ * Places a ladder of limit orders between a lower and upper price: buys
+ * below the current price, sells above it. When a level fills, the
+ * opposite order is placed one level away, and each completed buy->sell
+ * cycle adds to the realized grid profit. Grids are persisted and
+ * re-synced against the exchange periodically.
+ */
+
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { writeJson, readJsonOrQuarantine } = require('./storage');
+const { getSymbolFilter, roundDownToStep, adjustQuantity, adjustPrice } = require('./exchange-filters');
+
+const GRIDS_FILE = 'grids.json';
+
+// How often running grids are synced with the exchange
+const SYNC_INTERVAL_MS = 15 * 1000;
+
+// Extra base bought for the initial sell levels, so fees paid in base don't leave the last sell short
+const BASE_FEE_BUFFER = 0.002;
+
+// Filled orders kept per grid
+const MAX_FILLS = 200;
+
+const MIN_GRIDS = 2;
+const MAX_GRIDS = 100;
+
+/**
+ * Build grid level prices rounded to the symbol tick size
+ * @param {number} lower - Lowest level
+ * @param {number} upper - Highest level
+ * @param {number} gridCount - Number of intervals (levels = gridCount + 1)
+ * @param {string} mode - arithmetic (equal price steps) or geometric (equal % steps)
+ * @param {string} tickSize - PRICE_FILTER tick size (optional)
+ * @returns {string[]} Level prices, ascending
+ * @throws {Error} If levels collapse after rounding
+ */
+function buildGridLevels(lower, upper, gridCount, mode = 'arithmetic', tickSize = null) {
+    const levels = [];
+
+    for (let i = 0; i <= gridCount; i++) {
+        const raw = mode === 'geometric'
+            ? lower * Math.pow(upper / lower, i / gridCount)
+            : lower + (upper - lower) * i / gridCount;
+        levels.push(tickSize ? roundDownToStep(raw, tickSize) : String(raw));
+    }
+
+    if (new Set(levels).size !== levels.length) {
+        throw new Error(`Grid too dense: ${gridCount} grids between ${lower} and ${upper} collapse at tick size ${tickSize}`);
+    }
+
+    return levels;
+}
+
+class GridManager extends EventEmitter {
+    /**
+     * @param {Object} api - Exchange operations (ToolsAPI methods)
+     * @param {Function} api.getPrice - Async (symbol) => current price
+     * @param {Function} api.limitOrder - Async (symbol, side, price, quantity) => limitOrder result
+     * @param {Function} api.marketBuy - Async (symbol, quantity) => marketBuy result
+     * @param {Function} api.getOpenOrders - Async (symbol) => getOpenOrders result
+     * @param {Function} api.getOrder - Async (symbol, orderId) => getOrder result
+     * @param {Function} api.cancelOrder - Async (symbol, orderId) => cancelOrder result
+     */
+    constructor(api) {
+        super();
+        this.api = api;
+        this.grids = this._load();
+
+        // A grid still starting was cut off by a restart; its placed orders and bought base are in the file
+        const interrupted = this.grids.filter(g => g.status === 'starting');
+        interrupted.forEach(grid => {
+            grid.status = 'stopping';
+            grid.lastError = 'Interrupted while starting; stop the grid to cancel the orders it placed';
+        });
+        if (interrupted.length > 0) {
+            this._save();
+        }
+
+        // Sync in progress per grid id, so stop() can wait for it
+        this.syncs = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Start a grid: buy the base needed for the sell levels, then place all level orders
+     * @param {Object} symbolInfo - Symbol info with filters (from exchangeInfo)
+     * @param {Object} params - Grid parameters
+     * @param {number} params.lower - Lower price bound
+     * @param {number} params.upper - Upper price bound
+     * @param {number} params.gridCount - Number of grid intervals
+     * @param {number} params.investment - Quote amount to commit
+     * @param {string} params.mode - arithmetic (default) or geometric
+     * @returns {Promise<Object>} Started grid
+     * @throws {Error} If parameters are invalid or orders cannot be placed
+     */
+    async start(symbolInfo, params) {
+        const lower = parseFloat(params.lower);
+        const upper = parseFloat(params.upper);
+        const gridCount = parseInt(params.gridCount);
+        const investment = parseFloat(params.investment);
+        const mode = (params.mode || 'arithmetic').toLowerCase();
+
+        if (!(lower > 0 && upper > lower)) {
+            throw new Error('upper must be greater than lower, and both positive');
+        }
+        if (!(gridCount >= MIN_GRIDS && gridCount <= MAX_GRIDS)) {
+            throw new Error(`gridCount must be between ${MIN_GRIDS} and ${MAX_GRIDS}`);
+        }
+        if (!(investment > 0)) {
+            throw new Error('investment must be a positive number');
+        }
+        if (!['arithmetic', 'geometric'].includes(mode)) {
+            throw new Error('Invalid mode. Must be one of: arithmetic, geometric');
+        }
+
+        const symbol = symbolInfo.symbol;
+        const priceFilter = getSymbolFilter(symbolInfo, 'PRICE_FILTER');
+        const levels = buildGridLevels(lower, upper, gridCount, mode, priceFilter ? priceFilter.tickSize : null);
+        const currentPrice = parseFloat(await this.api.getPrice(symbol));
+
+        // The level nearest the current price stays empty; buys below it, sells above it
+        let emptyLevel = 0;
+        levels.forEach((price, i) => {
+            if (Math.abs(price - currentPrice) < Math.abs(levels[emptyLevel] - currentPrice)) {
+                emptyLevel = i;
+            }
+        });
+
+        const plan = levels
+            .map((price, level) => ({ level, price, side: level < emptyLevel ? 'BUY' : 'SELL' }))
+            .filter(o => o.level !== emptyLevel);
+        const buyLevels = plan.filter(o => o.side === 'BUY');
+        const sellCount = plan.length - buyLevels.length;
+
+        // Same quantity on every level; sell levels are funded by base bought at the current price
+        const quoteNeededPerUnit = buyLevels.reduce((sum, o) => sum + parseFloat(o.price), 0) + sellCount * currentPrice;
+        const rawQty = investment / quoteNeededPerUnit;
+
+        // Validate against LOT_SIZE / MIN_NOTIONAL at the lowest order price (smallest notional)
+        let quantity;
+        try {
+            quantity = adjustQuantity(symbolInfo, rawQty, { orderType: 'LIMIT', price: plan[0].price });
+        } catch (error) {
+            throw new Error(`Investment too small for ${gridCount} grids: ${error.message}`);
+        }
+
+        // Every level must pass PRICE_FILTER / PERCENT_PRICE before anything is bought or placed
+        for (const o of plan) {
+            adjustPrice(symbolInfo, o.price, { side: o.side, referencePrice: currentPrice });
+        }
+
+        const grid = {
+            id: `grid-${randomUUID().slice(0, 8)}`,
+            symbol,
+            baseAsset: symbolInfo.baseAsset,
+            quoteAsset: symbolInfo.quoteAsset,
+            lower,
+            upper,
+            gridCount,
+            mode,
+            investment,
+            quantityPerGrid: quantity,
+            levels,
+            startPrice: currentPrice,
+            status: 'starting',
+            createdAt: new Date().toISOString(),
+            stoppedAt: null,
+            entry: null,
+            orders: [],
+            fills: [],
+            realizedProfit: 0,
+            completedCycles: 0,
+            buyFills: 0,
+            sellFills: 0,
+            lastSyncAt: null,
+            lastError: null
+        };
+
+        // Saved before anything is bought or placed, and after every step, so a restart can clean up
+        this.grids.push(grid);
+        this._save();
+
+        // Buy the base inventory for the sell levels
+        if (sellCount > 0) {
+            const baseQty = parseFloat(quantity) * sellCount * (1 + BASE_FEE_BUFFER);
+            const buy = await this.api.marketBuy(symbol, String(baseQty));
+
+            if (!buy.success) {
+                // Nothing was bought or placed, so there is nothing to keep
+                this.grids.splice(this.grids.indexOf(grid), 1);
+                this._save();
+                throw new Error(`Initial base purchase failed: ${this._errorMessage(buy.error)}`);
+            }
+
+            const executedQty = parseFloat(buy.order.executedQty);
+            grid.entry = {
+                orderId: buy.order.orderId,
+                quantity: executedQty,
+                price: executedQty > 0 ? parseFloat(buy.order.cumQuote) / executedQty : currentPrice
+            };
+            this._save();
+        }
+
+        const entryPrice = grid.entry ? grid.entry.price : currentPrice;
+
+        for (const o of plan) {
+            const placed = await this._place(grid, o.level, o.side, o.side === 'SELL' ? entryPrice : null);
+            this._save();
+
+            if (!placed) {
+                // Leave nothing half-built on the book
+                await this._cancelOpen(grid);
+                grid.status = 'failed';
+                grid.stoppedAt = new Date().toISOString();
+                this._save();
+                throw new Error(`Failed to place ${o.side} at ${o.price}: ${grid.lastError}. Placed orders were cancelled${grid.entry ? `; ${grid.entry.quantity} ${grid.baseAsset} bought for the sell levels is still held` : ''}`);
+            }
+        }
+
+        grid.status = 'running';
+        this._save();
+        this.startSync();
+
+        return grid;
+    }
+
+    /**
+     * Get a grid by id
+     * @param {string} id - Grid id
+     * @returns {Object} Grid
+     * @throws {Error} If the grid does not exist
+     */
+    get(id) {
+        const grid = this.grids.find(g => g.id === id);
+        if (!grid) {
+            throw new Error(`Grid ${id} not found`);
+        }
+        return grid;
+    }
+
+    /**
+     * List grids
+     * @param {string} status - Optional: starting, running, stopping, stopped or failed
+     * @returns {Array<Object>} Grids
+     */
+    list(status = null) {
+        return status ? this.grids.filter(g => g.status === status) : [...this.grids];
+    }
+
+    /**
+     * Stop a grid and cancel its outstanding orders
+     * @param {string} id - Grid id
+     * @returns {Promise<Object>} {grid, cancelled, failed}
+     */
+    async stop(id) {
+        const grid = this.get(id);
+
+        // A grid left in stopping (e.g., by a restart mid-stop) can be stopped again
+        if (!['running', 'stopping'].includes(grid.status)) {
+            throw new Error(`Grid ${id} is ${grid.status}`);
+        }
+
+        // No new orders from here on, including from a sync that is already running
+        grid.status = 'stopping';
+        this._save();
+
+        if (this.syncs.has(grid.id)) {
+            await this.syncs.get(grid.id);
+        }
+
+        // Pick up fills that happened since the last sync before cancelling
+        await this.sync(grid);
+
+        const result = await this._cancelOpen(grid);
+        grid.status = 'stopped';
+        grid.stoppedAt = new Date().toISOString();
+        this._save();
+
+        return { grid, ...result };
+    }
+
+    /**
+     * Start periodic sync of running grids (does not keep the process alive)
+     */
+    startSync() {
+        if (this.timer || !this.grids.some(g => g.status === 'running')) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.syncAll(), SYNC_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop periodic sync
+     */
+    stopSync() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Sync all running grids
+     * @returns {Promise<void>}
+     */
+    async syncAll() {
+        const running = this.grids.filter(g => g.status === 'running');
+
+        if (running.length === 0) {
+            this.stopSync();
+            return;
+        }
+
+        for (const grid of running) {
+            await this.sync(grid);
+        }
+    }
+
+    /**
+     * React to a user data stream order event for a grid order
+     * @param {Object} event - Order event ({orderId, status, ...})
+     */
+    handleOrderEvent(event) {
+        if (event.status !== 'FILLED') {
+            return;
+        }
+
+        const grid = this.grids.find(g =>
+            g.status === 'running' && g.orders.some(o => o.orderId === event.orderId)
+        );
+
+        if (grid) {
+            this.sync(grid);
+        }
+    }
+
+    /**
+     * Detect filled/cancelled level orders and place the opposite orders
+     * While a grid is stopping, fills are still recorded but no orders are placed.
+     * Concurrent calls for the same grid share one sync.
+     * @param {Object} grid - Grid
+     * @returns {Promise<void>}
+     */
+    async sync(grid) {
+        if (!['running', 'stopping'].includes(grid.status)) {
+            return;
+        }
+
+        if (!this.syncs.has(grid.id)) {
+            const pending = this._sync(grid).finally(() => this.syncs.delete(grid.id));
+            this.syncs.set(grid.id, pending);
+        }
+
+        await this.syncs.get(grid.id);
+    }
+
+    /**
+     * One sync pass over a grid's orders
+     * @param {Object} grid - Grid
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _sync(grid) {
+        try {
+            const open = await this.api.getOpenOrders(grid.symbol);
+
+            if (!open.success) {
+                grid.lastError = this._errorMessage(open.error);
+                return;
+            }
+
+            const openIds = new Set(open.orders.map(o => o.orderId));
+
+            for (const order of grid.orders.filter(o => o.status === 'open' && !openIds.has(o.orderId))) {
+                const result = await this.api.getOrder(grid.symbol, order.orderId);
+
+                if (!result.success) {
+                    grid.lastError = this._errorMessage(result.error);
+                    continue;
+                }
+
+                const status = result.order.status;
+
+                if (status === 'FILLED') {
+                    await this._handleFill(grid, order, result.order);
+                } else if (['CANCELED', 'EXPIRED', 'REJECTED'].includes(status)) {
+                    // Cancelled outside the grid; the level stays empty apart from any part that filled
+                    if (parseFloat(result.order.executedQty) > 0) {
+                        await this._handleFill(grid, order, result.order, true);
+                    } else {
+                        order.status = 'cancelled';
+                    }
+                }
+            }
+
+            // Retry counter orders that could not be placed earlier
+            for (const order of grid.orders.filter(o => o.status === 'pending')) {
+                if (grid.status !== 'running') {
+                    break;
+                }
+                grid.orders.splice(grid.orders.indexOf(order), 1);
+                await this._place(grid, order.level, order.side, order.costPrice, order.quantity);
+            }
+
+            grid.lastSyncAt = new Date().toISOString();
+        } catch (error) {
+            grid.lastError = error.message;
+        } finally {
+            this._save();
+        }
+    }
+
+    /**
+     * Summarize a grid for status reporting
+     * @param {Object} grid - Grid
+     * @param {number} currentPrice - Optional current price
+     * @returns {Object} Status summary
+     */
+    summarize(grid, currentPrice = null) {
+        const open = grid.orders.filter(o => o.status === 'open');
+        const entryQty = grid.entry ? grid.entry.quantity : 0;
+        const boughtQty = grid.fills.filter(f => f.side === 'BUY').reduce((sum, f) => sum + f.quantity, 0);
+        const soldQty = grid.fills.filter(f => f.side === 'SELL').reduce((sum, f) => sum + f.quantity, 0);
+
+        return {
+            id: grid.id,
+            symbol: grid.symbol,
+            status: grid.status,
+            range: { lower: grid.lower, upper: grid.upper, gridCount: grid.gridCount, mode: grid.mode },
+            investment: grid.investment,
+            quantityPerGrid: grid.quantityPerGrid,
+            currentPrice,
+            inRange: currentPrice !== null ? currentPrice >= grid.lower && currentPrice <= grid.upper : null,
+            openBuyOrders: open.filter(o => o.side === 'BUY').length,
+            openSellOrders: open.filter(o => o.side === 'SELL').length,
+            pendingOrders: grid.orders.filter(o => o.status === 'pending').length,
+            buyFills: grid.buyFills,
+            sellFills: grid.sellFills,
+            completedCycles: grid.completedCycles,
+            // Before trading fees
+            realizedProfit: grid.realizedProfit,
+            realizedProfitPercent: grid.realizedProfit / grid.investment * 100,
+            baseHeld: entryQty + boughtQty - soldQty,
+            entry: grid.entry,
+            createdAt: grid.createdAt,
+            stoppedAt: grid.stoppedAt,
+            lastSyncAt: grid.lastSyncAt,
+            lastError: grid.lastError
+        };
+    }
+
+    /**
+     * Record a filled level order and place the opposite order one level away
+     * A partial fill (order cancelled or expired after filling part) gets a counter order
+     * for the filled part only; if that cannot be placed, the base stays in baseHeld.
+     * @param {Object} grid - Grid
+     * @param {Object} order - Grid order entry
+     * @param {Object} filled - Formatted exchange order
+     * @param {boolean} partial - Whether only part of the order filled
+     * @private
+     */
+    async _handleFill(grid, order, filled, partial = false) {
+        const fill = this._recordFill(grid, order, filled, partial);
+
+        // A partial quantity below the exchange minimums would fail on every retry, so it is not kept pending
+        const quantity = partial ? filled.executedQty : grid.quantityPerGrid;
+        const placed = order.side === 'BUY'
+            ? await this._place(grid, order.level + 1, 'SELL', fill.price, quantity, !partial)
+            : await this._place(grid, order.level - 1, 'BUY', null, quantity, !partial);
+
+        if (!placed && partial && grid.status === 'running') {
+            grid.lastError = `No counter order for the partial fill of order ${order.orderId}: ${grid.lastError}`;
+        }
+
+        // Keep only open/pending orders plus the fills log
+        grid.orders = grid.orders.filter(o => o.status === 'open' || o.status === 'pending');
+
+        this.emit('fill', { grid, fill });
+    }
+
+    /**
+     * Add a (partial) fill to the grid's fills, counters and realized profit
+     * @param {Object} grid - Grid
+     * @param {Object} order - Grid order entry
+     * @param {Object} filled - Formatted exchange order
+     * @param {boolean} partial - Whether only part of the order filled
+     * @returns {Object} Fill
+     * @private
+     */
+    _recordFill(grid, order, filled, partial) {
+        const quantity = parseFloat(filled.executedQty);
+        const price = parseFloat(filled.avgPrice) || parseFloat(filled.price);
+
+        order.status = partial ? 'cancelled' : 'filled';
+        order.filledAt = new Date().toISOString();
+
+        const fill = {
+            orderId: order.orderId,
+            level: order.level,
+            side: order.side,
+            price,
+            quantity,
+            time: order.filledAt,
+            profit: null,
+            ...(partial && { partial: true })
+        };
+
+        if (order.side === 'BUY') {
+            grid.buyFills++;
+        } else {
+            grid.sellFills++;
+            if (!partial) {
+                grid.completedCycles++;
+            }
+            fill.profit = (price - order.costPrice) * quantity;
+            grid.realizedProfit += fill.profit;
+        }
+
+        grid.fills.push(fill);
+        if (grid.fills.length > MAX_FILLS) {
+            grid.fills.splice(0, grid.fills.length - MAX_FILLS);
+        }
+
+        return fill;
+    }
+
+    /**
+     * Place a level order; on failure keep it as pending for the next sync
+     * Does nothing once the grid is stopping.
+     * @param {Object} grid - Grid
+     * @param {number} level - Level index
+     * @param {string} side - BUY or SELL
+     * @param {number} costPrice - For sells: price the base was acquired at
+     * @param {string} quantity - Optional: Order quantity (default: the grid's quantity per level)
+     * @param {boolean} keepPending - Keep a failed order as pending for a retry (default true)
+     * @returns {Promise<boolean>} Whether the order was placed
+     * @private
+     */
+    async _place(grid, level, side, costPrice, quantity = grid.quantityPerGrid, keepPending = true) {
+        if (!['starting', 'running'].includes(grid.status)) {
+            return false;
+        }
+
+        const price = grid.levels[level];
+        const entry = {
+            level,
+            side,
+            price,
+            quantity,
+            costPrice,
+            orderId: null,
+            clientOrderId: null,
+            status: 'pending',
+            placedAt: null
+        };
+
+        grid.orders.push(entry);
+
+        const result = await this.api.limitOrder(grid.symbol, side, price, quantity);
+
+        if (!result.success) {
+            grid.lastError = this._errorMessage(result.error);
+            if (!keepPending) {
+                grid.orders.splice(grid.orders.indexOf(entry), 1);
+            }
+            return false;
+        }
+
+        entry.orderId = result.order.orderId;
+        entry.clientOrderId = result.order.clientOrderId;
+        entry.status = 'open';
+        entry.placedAt = new Date().toISOString();
+
+        return true;
+    }
+
+    /**
+     * Cancel all open orders of a grid
+     * @param {Object} grid - Grid
+     * @returns {Promise<Object>} {cancelled, failed}
+     * @private
+     */
+    async _cancelOpen(grid) {
+        let cancelled = 0;
+        const failed = [];
+
+        for (const order of grid.orders) {
+            if (order.status === 'pending') {
+                order.status = 'cancelled';
+                continue;
+            }
+            if (order.status !== 'open') {
+                continue;
+            }
+
+            const result = await this.api.cancelOrder(grid.symbol, order.orderId);
+
+            if (result.success) {
+                order.status = 'cancelled';
+                cancelled++;
+
+                // Keep the part that filled before the cancel in fills and profit
+                if (result.order && parseFloat(result.order.executedQty) > 0) {
+                    this.emit('fill', { grid, fill: this._recordFill(grid, order, result.order, true) });
+                }
+            } else {
+                failed.push({ orderId: order.orderId, error: this._errorMessage(result.error) });
+            }
+        }
+
+        return { cancelled, failed };
+    }
+
+    /**
+     * Error text from an API error (string or {code, message})
+     * @param {*} error - Error value
+     * @returns {string} Message
+     * @private
+     */
+    _errorMessage(error) {
+        return typeof error === 'object' && error !== null
+            ? error.message || JSON.stringify(error)
+            : String(error);
+    }
+
+    /**
+     * Load persisted grids
+     * @returns {Array<Object>} Grids (empty if the file is missing or unreadable; an unreadable file is moved aside)
+     * @private
+     */
+    _load() {
+        return readJsonOrQuarantine(GRIDS_FILE, [], 'grids');
+    }
+
+    /**
+     * Persist grids
+     * @private
+     */
+    _save() {
+        try {
+            writeJson(GRIDS_FILE, this.grids);
+        } catch (error) {
+            console.error('Failed to save grids:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    GridManager,
+    buildGridLevels
+};
@@ -5,6 +5,10 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
     CallToolRequestSchema,
     ListToolsRequestSchema,
+    ListResourcesRequestSchema,
+    ReadResourceRequestSchema,
+    SubscribeRequestSchema,
+    UnsubscribeRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 const dotenv = require('dotenv');
 const ToolsAPI = require('./tools.js');
@@ -21,89 +25,981 @@ const server = new Server(
     {
         capabilities: {
             tools: {},
+            logging: {},
+            resources: {
+                subscribe: true,
+            },
+        },
+    }
+);
+
+// Aster DEX MCP Tools
+const TOOLS = [
+    {
+        name: 'create_evm_wallet',
+        description: 'Create a new wallet for EVM-compatible chains (Ethereum, Arbitrum, or BNB Chain). Returns wallet address, private key, and mnemonic seed phrase.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                network: {
+                    type: 'string',
+                    description: 'Network to create wallet for: ethereum, arbitrum, or bnb',
+                    enum: ['ethereum', 'arbitrum', 'bnb'],
+                },
+            },
+            required: ['network'],
+        },
+    },
+    {
+        name: 'create_solana_wallet',
+        description: 'Create a new wallet for Solana network. Returns wallet address, private key, and mnemonic seed phrase.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+        },
+    },
+    {
+        name: 'get_account_balance',
+        description: 'Get account balance on Aster Exchange. Returns available and locked balances for all assets.',
+        inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+        },
+    },
+    {
+        name: 'get_portfolio_value',
+        description: 'Value all non-zero Aster Exchange balances (free + locked) in USDT or another quote asset using last prices. Assets without a direct pair are routed through intermediate pairs. Returns per-asset value and portfolio weight, the total, and assets that could not be priced.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                quoteAsset: {
+                    type: 'string',
+                    description: 'Optional: Asset to value in (default "USDT"), e.g., "USDC", "BTC"',
+                },
+            },
+        },
+    },
+    {
+        name: 'market_buy',
+        description: 'Execute a market buy order on Aster Exchange. Buys crypto at current market price using either a quote amount to spend or a base asset quantity to receive. Quantity is rounded down to the symbol LOT_SIZE step. Returns the actual fills and balance delta when the user data stream is running.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                quoteAmount: {
+                    type: 'string',
+                    description: 'Amount of quote asset to spend (e.g., "100" for 100 USDT). Provide this OR quantity.',
+                },
+                quantity: {
+                    type: 'string',
+                    description: 'Optional: Amount of base asset to buy (e.g., "0.01" for 0.01 BTC). Provide this OR quoteAmount.',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'market_sell',
+        description: 'Execute a market sell order on Aster Exchange. Sells a base asset quantity (or the entire free balance) at current market price. Quantity is rounded down to the symbol LOT_SIZE step and checked against MIN_NOTIONAL.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                quantity: {
+                    type: 'string',
+                    description: 'Amount of base asset to sell (e.g., "0.01" for 0.01 BTC), or "all" to sell the entire free balance',
+                },
+            },
+            required: ['symbol', 'quantity'],
+        },
+    },
+    {
+        name: 'limit_order',
+        description: 'Place a limit order on Aster Exchange. Supports BUY/SELL, time-in-force GTC/IOC/FOK and post-only (maker-only) orders. Price and quantity are rounded to the symbol tick/step size and validated against PRICE_FILTER, LOT_SIZE, MIN_NOTIONAL and PERCENT_PRICE before signing.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                side: {
+                    type: 'string',
+                    description: 'Order side: BUY or SELL',
+                    enum: ['BUY', 'SELL'],
+                },
+                price: {
+                    type: 'string',
+                    description: 'Limit price in quote asset (e.g., "60000")',
+                },
+                quantity: {
+                    type: 'string',
+                    description: 'Amount of base asset (e.g., "0.01" for 0.01 BTC)',
+                },
+                timeInForce: {
+                    type: 'string',
+                    description: 'Optional: GTC (good till cancelled, default), IOC (immediate or cancel) or FOK (fill or kill)',
+                    enum: ['GTC', 'IOC', 'FOK'],
+                },
+                postOnly: {
+                    type: 'boolean',
+                    description: 'Optional: If true, the order is rejected instead of taking liquidity (maker-only). Only valid with GTC.',
+                },
+            },
+            required: ['symbol', 'side', 'price', 'quantity'],
+        },
+    },
+    {
+        name: 'get_order',
+        description: 'Get status and fill details of an order on Aster Exchange by orderId or clientOrderId.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                orderId: {
+                    type: 'string',
+                    description: 'Optional: Exchange order id. Provide this OR clientOrderId.',
+                },
+                clientOrderId: {
+                    type: 'string',
+                    description: 'Optional: Client order id returned by market_buy, market_sell or limit_order. Provide this OR orderId.',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_open_orders',
+        description: 'List open (unfilled or partially filled) orders on Aster Exchange for a symbol, or for all symbols if none given.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Optional: Trading pair symbol (e.g., "BTCUSDT"). Omit to list open orders for all symbols.',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'cancel_order',
+        description: 'Cancel an open order on Aster Exchange by orderId or clientOrderId.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                orderId: {
+                    type: 'string',
+                    description: 'Optional: Exchange order id. Provide this OR clientOrderId.',
+                },
+                clientOrderId: {
+                    type: 'string',
+                    description: 'Optional: Client order id returned by market_buy, market_sell or limit_order. Provide this OR orderId.',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'cancel_all_orders',
+        description: 'Cancel all open orders for a trading pair on Aster Exchange.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_my_trades',
+        description: 'Get account trade history (fills) for a trading pair on Aster Exchange, with price, quantity, commission and commission asset. Pages through results by time range and trade id.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Start of time range, epoch milliseconds or date string (e.g., "2024-01-31")',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: End of time range, epoch milliseconds or date string',
+                },
+                fromId: {
+                    type: 'string',
+                    description: 'Optional: Trade id to start from (inclusive). Use nextFromId from a previous response to continue paging. Overrides the time range.',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Records per page (max 1000, default 500)',
+                },
+                maxPages: {
+                    type: 'number',
+                    description: 'Optional: Maximum number of pages to fetch (default 5)',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_pnl',
+        description: 'Compute cost basis and PnL from spot fills (commissions included) with FIFO or average-cost accounting. Replays the full trade history of every pair where the asset is the base, then reports the open position with average cost and unrealized PnL at current prices, and realized PnL of sells within the time range. Only fills where the asset is the base count: amounts acquired or spent as the quote of another pair (e.g., USDT from selling BTCUSDT) are not cost-basis lots and show up in untrackedQty. Without asset, covers every asset with a non-zero exchange balance; pass asset for positions that were fully sold. Warnings list fills quoted in other assets, which are converted at current rates.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                asset: {
+                    type: 'string',
+                    description: 'Optional: Base asset (e.g., "BTC"). Required for assets that were fully sold.',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Report realized PnL from this time, epoch milliseconds or date string (e.g., "2024-01-31")',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: Ignore fills after this time, epoch milliseconds or date string',
+                },
+                method: {
+                    type: 'string',
+                    enum: ['fifo', 'average'],
+                    description: 'Optional: Cost basis method (default: fifo)',
+                },
+                quoteAsset: {
+                    type: 'string',
+                    description: 'Optional: Valuation asset (default: "USDT"). Fills quoted in other assets are converted at current rates.',
+                },
+                maxPages: {
+                    type: 'number',
+                    description: 'Optional: Pages of 1000 fills fetched per pair (default 10)',
+                },
+                includeLots: {
+                    type: 'boolean',
+                    description: 'Optional: Include open lots and each realized lot (default: false)',
+                },
+            },
+        },
+    },
+    {
+        name: 'export_activity',
+        description: 'Export trades, deposits and withdrawals as CSV for accounting and tax tools. Trades come from the exchange fill history (with commissions and order/trade ids); deposits and withdrawals made through these tools come from the local activity log with tx hashes and explorer links. Formats: ledger (generic, every reference field), koinly (Koinly universal CSV) and cointracker (CoinTracker CSV). Also available as a file download from the HTTP server at GET /export/activity.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                format: {
+                    type: 'string',
+                    enum: ['ledger', 'koinly', 'cointracker'],
+                    description: 'Optional: CSV layout (default: ledger)',
+                },
+                types: {
+                    type: 'array',
+                    items: { type: 'string', enum: ['trade', 'deposit', 'withdrawal'] },
+                    description: 'Optional: Activity to include (default: all)',
+                },
+                symbols: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'Optional: Pairs to export trades for (e.g., ["BTCUSDT", "ETHUSDT"]). Default: pairs of assets with a non-zero balance.',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Start time, epoch milliseconds or date string (e.g., "2024-01-01")',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: End time, epoch milliseconds or date string',
+                },
+                maxPages: {
+                    type: 'number',
+                    description: 'Optional: Pages of 1000 fills fetched per pair (default 10)',
+                },
+            },
+        },
+    },
+    {
+        name: 'get_all_orders',
+        description: 'Get order history (open, filled and cancelled orders) for a trading pair on Aster Exchange. Pages through results by time range and order id.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Start of time range, epoch milliseconds or date string (e.g., "2024-01-31")',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: End of time range, epoch milliseconds or date string',
+                },
+                fromId: {
+                    type: 'string',
+                    description: 'Optional: Order id to start from (inclusive). Use nextFromId from a previous response to continue paging. Overrides the time range.',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Records per page (max 1000, default 500)',
+                },
+                maxPages: {
+                    type: 'number',
+                    description: 'Optional: Maximum number of pages to fetch (default 5)',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_price',
+        description: 'Get latest price for a trading pair on Aster Exchange. Served from a live WebSocket cache after the first request for a symbol (cheap to poll), with REST fallback.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_ticker_24h',
+        description: 'Get 24h rolling statistics for a trading pair (or all pairs) on Aster Exchange: last price, change %, high/low, volume and quote volume.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Optional: Trading pair symbol (e.g., "BTCUSDT"). Omit to get all pairs.',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'get_market_movers',
+        description: 'Rank the top 24h gainers, losers and volume leaders across every trading pair listed on Aster Exchange.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of entries in each list (default 10)',
+                },
+                quoteAsset: {
+                    type: 'string',
+                    description: 'Optional: Only rank pairs quoted in this asset (e.g., "USDT")',
+                },
+                minQuoteVolume: {
+                    type: 'number',
+                    description: 'Optional: Ignore pairs with 24h quote volume below this value (filters out illiquid pairs)',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'get_recent_trades',
+        description: 'Get recent public trades for a trading pair on Aster Exchange with a flow summary: taker buy/sell volume and pressure, trade count and VWAP over the returned window.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of trades (default 500, max 1000)',
+                },
+                includeTrades: {
+                    type: 'boolean',
+                    description: 'Optional: Include individual trades in the response (default false)',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_agg_trades',
+        description: 'Get aggregate public trades for a trading pair on Aster Exchange (fills from the same taker order at the same price are combined), by time range or trade id, with a flow summary: buy/sell pressure, trade count and VWAP.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of aggregate trades (default 500, max 1000)',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Start of time range, epoch milliseconds or date string',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: End of time range, epoch milliseconds or date string',
+                },
+                fromId: {
+                    type: 'string',
+                    description: 'Optional: Aggregate trade id to start from (inclusive). Overrides the time range.',
+                },
+                includeTrades: {
+                    type: 'boolean',
+                    description: 'Optional: Include individual trades in the response (default false)',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_order_book',
+        description: 'Get order book depth for a trading pair on Aster Exchange with liquidity analysis: best bid/ask, spread in bps, cumulative depth within ±0.5%/1%/2% of mid price, and the expected average fill price and slippage for a market order of a given quote amount.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of price levels per side (default 100, max 1000). Up to 20 levels are served from the live stream when fresh. Depth bands flag truncated and the fill reports fullyFilled when the fetched levels run out.',
+                },
+                quoteAmount: {
+                    type: 'string',
+                    description: 'Optional: Quote asset amount to simulate a market order for (e.g., "5000" for 5,000 USDT)',
+                },
+                side: {
+                    type: 'string',
+                    description: 'Optional: Side of the simulated market order: BUY (walks asks, default) or SELL (walks bids)',
+                    enum: ['BUY', 'SELL'],
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_klines',
+        description: 'Get candlestick (kline) history for a trading pair on Aster Exchange. Returns a compact summary (open/close/high/low/change/volume) and can compute technical indicators server-side (SMA, EMA, RSI, MACD, Bollinger Bands, VWAP) so raw candles are not needed.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                interval: {
+                    type: 'string',
+                    description: 'Optional: Candle interval (default 1h)',
+                    enum: ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'],
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of candles (default 100, max 1000). Indicators need enough candles (e.g., MACD needs 35+).',
+                },
+                startTime: {
+                    type: 'string',
+                    description: 'Optional: Start of time range, epoch milliseconds or date string (e.g., "2024-01-31")',
+                },
+                endTime: {
+                    type: 'string',
+                    description: 'Optional: End of time range, epoch milliseconds or date string',
+                },
+                indicators: {
+                    type: 'array',
+                    items: {
+                        type: 'string',
+                        enum: ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'vwap'],
+                    },
+                    description: 'Optional: Indicators to compute (latest values are returned)',
+                },
+                period: {
+                    type: 'number',
+                    description: 'Optional: Period for SMA, EMA and Bollinger Bands (default 20). RSI uses 14, MACD uses 12/26/9.',
+                },
+                includeCandles: {
+                    type: 'boolean',
+                    description: 'Optional: Include raw candles in the response (default: true only when no indicators are requested)',
+                },
+            },
+            required: ['symbol'],
+        },
+    },
+    {
+        name: 'get_exchange_info',
+        description: 'Get exchange information including all trading pairs, trading rules, price/quantity filters, and rate limits. Can optionally filter by specific symbol.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Optional: Trading pair symbol to get info for specific pair (e.g., "BTCUSDT")',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'search_symbols',
+        description: 'Search trading pairs listed on Aster Exchange. Accepts "BTC/USDT", "btc-usdt", "BTCUSDT" or a bare asset like "BTC". Returns the exact match (if listed) and the closest matches with base and quote assets. Use this when a symbol is rejected as unknown.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                query: {
+                    type: 'string',
+                    description: 'Pair or asset to search for (e.g., "ETH/USDT", "aster", "BTC")',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Maximum number of matches (default 10)',
+                },
+                quoteAsset: {
+                    type: 'string',
+                    description: 'Optional: Only include pairs quoted in this asset (e.g., "USDT")',
+                },
+            },
+            required: ['query'],
+        },
+    },
+    {
+        name: 'create_price_alert',
+        description: 'Create a price alert on Aster Exchange that is evaluated in the background and sends an MCP notification when it fires. Types: price_above / price_below (price crosses a level), percent_change (move of at least percent within windowMinutes; positive = up, negative = down), spread_above (bid/ask spread wider than spreadBps). Alerts persist across restarts.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETH/USDT")',
+                },
+                type: {
+                    type: 'string',
+                    description: 'Alert condition type',
+                    enum: ['price_above', 'price_below', 'percent_change', 'spread_above'],
+                },
+                level: {
+                    type: 'string',
+                    description: 'Price level for price_above / price_below (e.g., "70000")',
+                },
+                percent: {
+                    type: 'number',
+                    description: 'Signed % move for percent_change (e.g., 5 for +5%, -3 for -3%)',
+                },
+                windowMinutes: {
+                    type: 'number',
+                    description: 'Optional: Window for percent_change in minutes (default 60, max 1440)',
+                },
+                spreadBps: {
+                    type: 'number',
+                    description: 'Spread threshold in basis points for spread_above (e.g., 20)',
+                },
+                repeat: {
+                    type: 'boolean',
+                    description: 'Optional: Fire again each time the condition is met anew (default false: fire once)',
+                },
+                note: {
+                    type: 'string',
+                    description: 'Optional: Note included when the alert fires',
+                },
+            },
+            required: ['symbol', 'type'],
+        },
+    },
+    {
+        name: 'list_alerts',
+        description: 'List price alerts with their condition, last evaluated value and trigger details.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                status: {
+                    type: 'string',
+                    description: 'Optional: Only alerts with this status',
+                    enum: ['active', 'triggered'],
+                },
+            },
+        },
+    },
+    {
+        name: 'delete_alert',
+        description: 'Delete a price alert by id.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                alertId: {
+                    type: 'string',
+                    description: 'Alert id (e.g., "alert-1a2b3c4d") from create_price_alert or list_alerts',
+                },
+            },
+            required: ['alertId'],
+        },
+    },
+    {
+        name: 'create_dca_plan',
+        description: 'Create a recurring DCA (dollar-cost averaging) plan that market-buys a fixed quote amount of a symbol on a cron schedule (UTC). Supports a max total budget and skipping runs while the price is above a limit. Plans persist across restarts and keep a run history.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETH/USDT")',
+                },
+                quoteAmount: {
+                    type: 'string',
+                    description: 'Quote asset amount to spend per buy (e.g., "50" for 50 USDT)',
+                },
+                schedule: {
+                    type: 'string',
+                    description: 'Cron expression in UTC: minute hour day-of-month month day-of-week (e.g., "0 9 * * *" daily at 09:00, "0 12 * * 1" Mondays at 12:00), or hourly, daily, weekly, monthly',
+                },
+                maxTotalBudget: {
+                    type: 'string',
+                    description: 'Optional: Total quote amount after which the plan completes (e.g., "1000")',
+                },
+                maxPrice: {
+                    type: 'string',
+                    description: 'Optional: Skip a run if the price is above this level',
+                },
+                note: {
+                    type: 'string',
+                    description: 'Optional: Note for the plan',
+                },
+            },
+            required: ['symbol', 'quoteAmount', 'schedule'],
+        },
+    },
+    {
+        name: 'list_dca_plans',
+        description: 'List DCA plans with status, next run, totals spent/bought, average price and recent runs. Pass planId for one plan with its full run history.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                planId: {
+                    type: 'string',
+                    description: 'Optional: Plan id for full run history',
+                },
+                status: {
+                    type: 'string',
+                    description: 'Optional: Only plans with this status',
+                    enum: ['active', 'paused', 'completed', 'cancelled'],
+                },
+            },
+        },
+    },
+    {
+        name: 'pause_dca_plan',
+        description: 'Pause a DCA plan, or resume a paused plan with resume=true. Resumed plans continue at the next scheduled time without catching up missed runs.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                planId: {
+                    type: 'string',
+                    description: 'Plan id (e.g., "dca-1a2b3c4d")',
+                },
+                resume: {
+                    type: 'boolean',
+                    description: 'Optional: Resume instead of pause (default false)',
+                },
+            },
+            required: ['planId'],
+        },
+    },
+    {
+        name: 'cancel_dca_plan',
+        description: 'Cancel a DCA plan permanently. Its run history is kept.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                planId: {
+                    type: 'string',
+                    description: 'Plan id (e.g., "dca-1a2b3c4d")',
+                },
+            },
+            required: ['planId'],
+        },
+    },
+    {
+        name: 'start_grid',
+        description: 'Start a grid trading strategy on a spot pair. Splits the price range into gridCount intervals, places limit buys below and limit sells above the current price (buying the base needed for the sells at market first), and whenever a level fills places the opposite order one level away. Each buy-then-sell cycle earns one grid step. Levels and order sizes are checked against the exchange filters before anything is placed. Runs in the background until stopped.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Trading pair (e.g., "BTCUSDT", "ETH/USDT")',
+                },
+                lowerPrice: {
+                    type: 'string',
+                    description: 'Lowest grid level in quote asset',
+                },
+                upperPrice: {
+                    type: 'string',
+                    description: 'Highest grid level in quote asset',
+                },
+                gridCount: {
+                    type: 'number',
+                    description: 'Number of grid intervals (2-100). One order per level except the level nearest the current price.',
+                },
+                investment: {
+                    type: 'string',
+                    description: 'Total quote asset to commit (e.g., "500" USDT), split evenly in base quantity across levels',
+                },
+                mode: {
+                    type: 'string',
+                    enum: ['arithmetic', 'geometric'],
+                    description: 'Optional: arithmetic = equal price steps (default), geometric = equal percentage steps',
+                },
+            },
+            required: ['symbol', 'lowerPrice', 'upperPrice', 'gridCount', 'investment'],
+        },
+    },
+    {
+        name: 'grid_status',
+        description: 'Get grid strategy status: open buy/sell orders, fills, completed cycles, realized grid profit (before fees) and whether the price is still in range. Without gridId lists all grids.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                gridId: {
+                    type: 'string',
+                    description: 'Optional: Grid id (e.g., "grid-1a2b3c4d") for its orders and recent fills',
+                },
+            },
+        },
+    },
+    {
+        name: 'stop_grid',
+        description: 'Stop a grid strategy and cancel all of its outstanding orders. Assets already bought or sold by the grid stay in the account.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                gridId: {
+                    type: 'string',
+                    description: 'Grid id (e.g., "grid-1a2b3c4d")',
+                },
+            },
+            required: ['gridId'],
+        },
+    },
+    {
+        name: 'get_positions',
+        description: 'Get open futures positions on Aster Exchange with size, entry/mark price, unrealized PnL, liquidation price, leverage and margin mode.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Optional: Futures symbol (e.g., "BTCUSDT"). Omit for all positions.',
+                },
+                includeEmpty: {
+                    type: 'boolean',
+                    description: 'Optional: Include symbols with no open position (default false)',
+                },
+            },
+            required: [],
+        },
+    },
+    {
+        name: 'set_leverage',
+        description: 'Set initial leverage for a futures symbol on Aster Exchange.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                leverage: {
+                    type: 'number',
+                    description: 'Leverage from 1 to 125 (max depends on symbol and position size)',
+                },
+            },
+            required: ['symbol', 'leverage'],
         },
-    }
-);
-
-// Aster DEX MCP Tools
-const TOOLS = [
+    },
     {
-        name: 'create_evm_wallet',
-        description: 'Create a new wallet for EVM-compatible chains (Ethereum, Arbitrum, or BNB Chain). Returns wallet address, private key, and mnemonic seed phrase.',
+        name: 'set_margin_type',
+        description: 'Set margin mode (ISOLATED or CROSSED) for a futures symbol on Aster Exchange. Cannot be changed while a position or open orders exist.',
         inputSchema: {
             type: 'object',
             properties: {
-                network: {
+                symbol: {
                     type: 'string',
-                    description: 'Network to create wallet for: ethereum, arbitrum, or bnb',
-                    enum: ['ethereum', 'arbitrum', 'bnb'],
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                marginType: {
+                    type: 'string',
+                    description: 'Margin mode: ISOLATED or CROSSED',
+                    enum: ['ISOLATED', 'CROSSED'],
                 },
             },
-            required: ['network'],
+            required: ['symbol', 'marginType'],
         },
     },
     {
-        name: 'create_solana_wallet',
-        description: 'Create a new wallet for Solana network. Returns wallet address, private key, and mnemonic seed phrase.',
+        name: 'futures_market_order',
+        description: 'Place a futures market order on Aster Exchange. Use side SELL to short or hedge spot holdings, and reduceOnly to close positions. Quantity is rounded to the symbol step size.',
         inputSchema: {
             type: 'object',
-            properties: {},
-            required: [],
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                side: {
+                    type: 'string',
+                    description: 'Order side: BUY (long / close short) or SELL (short / close long)',
+                    enum: ['BUY', 'SELL'],
+                },
+                quantity: {
+                    type: 'string',
+                    description: 'Quantity in base asset (e.g., "0.01" for 0.01 BTC)',
+                },
+                reduceOnly: {
+                    type: 'boolean',
+                    description: 'Optional: Only reduce an existing position, never open or increase one',
+                },
+                positionSide: {
+                    type: 'string',
+                    description: 'Optional: BOTH (one-way mode, default), LONG or SHORT (hedge mode only)',
+                    enum: ['BOTH', 'LONG', 'SHORT'],
+                },
+            },
+            required: ['symbol', 'side', 'quantity'],
         },
     },
     {
-        name: 'get_account_balance',
-        description: 'Get account balance on Aster Exchange. Returns available and locked balances for all assets.',
+        name: 'futures_limit_order',
+        description: 'Place a futures limit order on Aster Exchange with time-in-force GTC/IOC/FOK, post-only and reduce-only support. Price and quantity are validated against the futures symbol filters.',
         inputSchema: {
             type: 'object',
-            properties: {},
-            required: [],
+            properties: {
+                symbol: {
+                    type: 'string',
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                side: {
+                    type: 'string',
+                    description: 'Order side: BUY or SELL',
+                    enum: ['BUY', 'SELL'],
+                },
+                price: {
+                    type: 'string',
+                    description: 'Limit price (e.g., "60000")',
+                },
+                quantity: {
+                    type: 'string',
+                    description: 'Quantity in base asset (e.g., "0.01" for 0.01 BTC)',
+                },
+                timeInForce: {
+                    type: 'string',
+                    description: 'Optional: GTC (default), IOC or FOK',
+                    enum: ['GTC', 'IOC', 'FOK'],
+                },
+                postOnly: {
+                    type: 'boolean',
+                    description: 'Optional: Maker-only order, rejected instead of taking liquidity. Only valid with GTC.',
+                },
+                reduceOnly: {
+                    type: 'boolean',
+                    description: 'Optional: Only reduce an existing position, never open or increase one',
+                },
+                positionSide: {
+                    type: 'string',
+                    description: 'Optional: BOTH (one-way mode, default), LONG or SHORT (hedge mode only)',
+                    enum: ['BOTH', 'LONG', 'SHORT'],
+                },
+            },
+            required: ['symbol', 'side', 'price', 'quantity'],
         },
     },
     {
-        name: 'market_buy',
-        description: 'Execute a market buy order on Aster Exchange. Buys crypto at current market price using specified quote amount.',
+        name: 'get_premium_index',
+        description: 'Get futures mark price, index price, premium and current funding rate with annualized funding. Omit symbol to rank all perpetuals by annualized funding and compare carry across pairs. Compare with spot get_price for basis trades.',
         inputSchema: {
             type: 'object',
             properties: {
                 symbol: {
                     type: 'string',
-                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                    description: 'Optional: Futures symbol (e.g., "BTCUSDT"). Omit to list all perpetuals.',
                 },
-                quoteAmount: {
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Max symbols when listing all (default 20)',
+                },
+                sort: {
                     type: 'string',
-                    description: 'Amount of quote asset to spend (e.g., "100" for 100 USDT)',
+                    description: 'Optional: highest (default) or lowest annualized funding first',
+                    enum: ['highest', 'lowest'],
                 },
             },
-            required: ['symbol', 'quoteAmount'],
         },
     },
     {
-        name: 'get_price',
-        description: 'Get latest price for a trading pair on Aster Exchange.',
+        name: 'get_funding_rate_history',
+        description: 'Get historical funding rates for a futures symbol with average, cumulative and annualized funding over the period.',
         inputSchema: {
             type: 'object',
             properties: {
                 symbol: {
                     type: 'string',
-                    description: 'Trading pair symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
+                },
+                startTime: {
+                    type: ['number', 'string'],
+                    description: 'Optional: Start time (epoch ms or date string, e.g., "2024-01-01")',
+                },
+                endTime: {
+                    type: ['number', 'string'],
+                    description: 'Optional: End time (epoch ms or date string)',
+                },
+                limit: {
+                    type: 'number',
+                    description: 'Optional: Number of funding records (default 100, max 1000)',
+                },
+                includeHistory: {
+                    type: 'boolean',
+                    description: 'Optional: Include individual funding records (default true). Set false for just the summary.',
                 },
             },
             required: ['symbol'],
         },
     },
     {
-        name: 'get_exchange_info',
-        description: 'Get exchange information including all trading pairs, trading rules, price/quantity filters, and rate limits. Can optionally filter by specific symbol.',
+        name: 'get_open_interest',
+        description: 'Get current open interest for a futures symbol in contracts and notional value at the mark price.',
         inputSchema: {
             type: 'object',
             properties: {
                 symbol: {
                     type: 'string',
-                    description: 'Optional: Trading pair symbol to get info for specific pair (e.g., "BTCUSDT")',
+                    description: 'Futures symbol (e.g., "BTCUSDT", "ETHUSDT")',
                 },
             },
-            required: [],
+            required: ['symbol'],
         },
     },
     {
@@ -129,6 +1025,53 @@ const TOOLS = [
             required: ['network'],
         },
     },
+    {
+        name: 'get_wallet_inventory',
+        description: 'Scan every configured wallet in one call: native and configured ERC20 balances on Ethereum, Arbitrum and BNB Chain, and SOL plus every SPL token account on Solana, fetched concurrently. Merges them with Aster Exchange balances into one consolidated total per asset, optionally valued in a quote asset. Networks without a configured wallet or RPC URL are reported as skipped.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                networks: {
+                    type: 'array',
+                    items: {
+                        type: 'string',
+                        enum: ['ethereum', 'arbitrum', 'bnb', 'solana'],
+                    },
+                    description: 'Optional: Networks to scan (default: all)',
+                },
+                quoteAsset: {
+                    type: 'string',
+                    description: 'Optional: Value consolidated holdings in this asset (e.g., "USDT")',
+                },
+                includeZero: {
+                    type: 'boolean',
+                    description: 'Optional: Include zero balances in the per-network lists (default: false)',
+                },
+            },
+        },
+    },
+    {
+        name: 'get_portfolio_history',
+        description: 'Get portfolio value over time (exchange + on-chain wallets, valued in USDT) from snapshots recorded periodically by the server. Returns start/end value, return %, high/low, max and current drawdown, 24h/7d/30d/90d/1y returns and a value series. Returns are on total value, so deposits and withdrawals count as gains and losses.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                period: {
+                    type: 'string',
+                    enum: ['24h', '7d', '30d', '90d', '1y', 'all'],
+                    description: 'Optional: Lookback period (default: 7d)',
+                },
+                maxPoints: {
+                    type: 'number',
+                    description: 'Optional: Maximum points in the value series (default: 100)',
+                },
+                snapshotNow: {
+                    type: 'boolean',
+                    description: 'Optional: Record a fresh snapshot before answering (default: false)',
+                },
+            },
+        },
+    },
     {
         name: 'deposit',
         description: 'Deposit tokens from blockchain to AsterDEX exchange. Automatically handles token approval for ERC20 tokens. Supports Ethereum, Arbitrum, BNB Chain, and Solana.',
@@ -152,10 +1095,43 @@ const TOOLS = [
                     type: 'string',
                     description: 'Optional: Private key for signing (base58 for Solana, hex for EVM)',
                 },
+                targetAccount: {
+                    type: 'string',
+                    description: 'Optional: Exchange account to credit: spot (default) or futures. Solana deposits go to spot only.',
+                    enum: ['spot', 'futures'],
+                },
             },
             required: ['network', 'token', 'amount'],
         },
     },
+    {
+        name: 'transfer_between_accounts',
+        description: 'Move assets between the spot and futures accounts on Aster Exchange (internal transfer, no on-chain withdrawal or deposit).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                asset: {
+                    type: 'string',
+                    description: 'Asset to transfer (e.g., "USDT")',
+                },
+                amount: {
+                    type: 'string',
+                    description: 'Amount to transfer (e.g., "100")',
+                },
+                from: {
+                    type: 'string',
+                    description: 'Source account: spot or futures',
+                    enum: ['spot', 'futures'],
+                },
+                to: {
+                    type: 'string',
+                    description: 'Destination account: spot or futures',
+                    enum: ['spot', 'futures'],
+                },
+            },
+            required: ['asset', 'amount', 'from', 'to'],
+        },
+    },
     {
         name: 'get_withdraw_fee',
         description: 'Get estimated withdrawal fee for a specific token and network from Aster Exchange.',
@@ -175,6 +1151,28 @@ const TOOLS = [
             required: ['token', 'network'],
         },
     },
+    {
+        name: 'wait_for_withdrawal',
+        description: 'Wait for a withdrawal to complete: polls the destination chain for the tx hash the exchange returned until the transaction has enough confirmations (default: 12 on Ethereum, 1 on Arbitrum, 15 on BNB Chain). Returns the final status, confirmations and explorer link, or the current progress if the timeout passes. Only withdrawals made with the withdraw tool whose response included a tx hash can be tracked; they are also tracked in the background and reported as notifications.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                withdrawId: {
+                    type: 'string',
+                    description: 'Withdrawal id returned by the withdraw tool (withdrawal.id)',
+                },
+                timeoutSeconds: {
+                    type: 'number',
+                    description: 'Optional: Maximum time to wait in seconds (default 120, max 900). Tracking continues in the background afterwards.',
+                },
+                confirmations: {
+                    type: 'number',
+                    description: 'Optional: Confirmations to wait for (default depends on the network)',
+                },
+            },
+            required: ['withdrawId'],
+        },
+    },
     {
         name: 'withdraw',
         description: 'Withdraw assets from Aster Exchange to external wallet. Uses EIP-712 signature for security. If destination address not provided, withdraws to the wallet configured in environment variables for the specified network.',
@@ -272,30 +1270,282 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
                 result = await toolsApi.getAccountBalance();
                 break;
 
+            case 'get_portfolio_value':
+                result = await toolsApi.getPortfolioValue(args.quoteAsset);
+                break;
+
             case 'market_buy':
-                result = await toolsApi.marketBuy(args.symbol, args.quoteAmount);
+                result = await toolsApi.marketBuy(args.symbol, args.quoteAmount, args.quantity);
+                break;
+
+            case 'market_sell':
+                result = await toolsApi.marketSell(args.symbol, args.quantity);
+                break;
+
+            case 'limit_order':
+                result = await toolsApi.limitOrder(
+                    args.symbol,
+                    args.side,
+                    args.price,
+                    args.quantity,
+                    args.timeInForce,
+                    args.postOnly
+                );
+                break;
+
+            case 'get_order':
+                result = await toolsApi.getOrder(args.symbol, args.orderId, args.clientOrderId);
+                break;
+
+            case 'get_open_orders':
+                result = await toolsApi.getOpenOrders(args.symbol);
+                break;
+
+            case 'cancel_order':
+                result = await toolsApi.cancelOrder(args.symbol, args.orderId, args.clientOrderId);
+                break;
+
+            case 'cancel_all_orders':
+                result = await toolsApi.cancelAllOrders(args.symbol);
+                break;
+
+            case 'get_my_trades':
+                result = await toolsApi.getMyTrades(args.symbol, {
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    fromId: args.fromId,
+                    limit: args.limit,
+                    maxPages: args.maxPages
+                });
+                break;
+
+            case 'get_pnl':
+                result = await toolsApi.getPnl(args.asset, {
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    method: args.method,
+                    quoteAsset: args.quoteAsset,
+                    maxPages: args.maxPages,
+                    includeLots: args.includeLots
+                });
+                break;
+
+            case 'export_activity':
+                result = await toolsApi.exportActivity(args.format, {
+                    types: args.types,
+                    symbols: args.symbols,
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    maxPages: args.maxPages
+                });
+                break;
+
+            case 'get_all_orders':
+                result = await toolsApi.getAllOrders(args.symbol, {
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    fromId: args.fromId,
+                    limit: args.limit,
+                    maxPages: args.maxPages
+                });
                 break;
 
             case 'get_price':
                 result = await toolsApi.getPrice(args.symbol);
                 break;
 
+            case 'get_ticker_24h':
+                result = await toolsApi.getTicker24h(args.symbol);
+                break;
+
+            case 'get_market_movers':
+                result = await toolsApi.getMarketMovers({
+                    limit: args.limit,
+                    quoteAsset: args.quoteAsset,
+                    minQuoteVolume: args.minQuoteVolume
+                });
+                break;
+
+            case 'get_recent_trades':
+                result = await toolsApi.getRecentTrades(args.symbol, args.limit, args.includeTrades);
+                break;
+
+            case 'get_agg_trades':
+                result = await toolsApi.getAggTrades(args.symbol, {
+                    limit: args.limit,
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    fromId: args.fromId,
+                    includeTrades: args.includeTrades
+                });
+                break;
+
+            case 'get_order_book':
+                result = await toolsApi.getOrderBook(args.symbol, args.limit, args.quoteAmount, args.side);
+                break;
+
+            case 'get_klines':
+                result = await toolsApi.getKlines(args.symbol, args.interval, {
+                    limit: args.limit,
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    indicators: args.indicators,
+                    period: args.period,
+                    includeCandles: args.includeCandles
+                });
+                break;
+
             case 'get_exchange_info':
                 result = await toolsApi.getExchangeInfo(args.symbol);
                 break;
 
+            case 'search_symbols':
+                result = await toolsApi.searchSymbols(args.query, args.limit, args.quoteAsset);
+                break;
+
+            case 'create_price_alert':
+                result = await toolsApi.createPriceAlert(args.symbol, args.type, {
+                    level: args.level,
+                    percent: args.percent,
+                    windowMinutes: args.windowMinutes,
+                    spreadBps: args.spreadBps,
+                    repeat: args.repeat,
+                    note: args.note
+                });
+                break;
+
+            case 'list_alerts':
+                result = await toolsApi.listAlerts(args.status);
+                break;
+
+            case 'delete_alert':
+                result = await toolsApi.deleteAlert(args.alertId);
+                break;
+
+            case 'create_dca_plan':
+                result = await toolsApi.createDcaPlan(args.symbol, args.quoteAmount, args.schedule, {
+                    maxTotalBudget: args.maxTotalBudget,
+                    maxPrice: args.maxPrice,
+                    note: args.note
+                });
+                break;
+
+            case 'list_dca_plans':
+                result = await toolsApi.listDcaPlans(args.planId, args.status);
+                break;
+
+            case 'pause_dca_plan':
+                result = await toolsApi.pauseDcaPlan(args.planId, args.resume);
+                break;
+
+            case 'cancel_dca_plan':
+                result = await toolsApi.cancelDcaPlan(args.planId);
+                break;
+
+            case 'start_grid':
+                result = await toolsApi.startGrid(
+                    args.symbol,
+                    args.lowerPrice,
+                    args.upperPrice,
+                    args.gridCount,
+                    args.investment,
+                    args.mode
+                );
+                break;
+
+            case 'grid_status':
+                result = await toolsApi.gridStatus(args.gridId);
+                break;
+
+            case 'stop_grid':
+                result = await toolsApi.stopGrid(args.gridId);
+                break;
+
+            case 'get_positions':
+                result = await toolsApi.futures.getPositions(args.symbol, args.includeEmpty);
+                break;
+
+            case 'set_leverage':
+                result = await toolsApi.futures.setLeverage(args.symbol, args.leverage);
+                break;
+
+            case 'set_margin_type':
+                result = await toolsApi.futures.setMarginType(args.symbol, args.marginType);
+                break;
+
+            case 'futures_market_order':
+                result = await toolsApi.futures.marketOrder(
+                    args.symbol,
+                    args.side,
+                    args.quantity,
+                    args.reduceOnly,
+                    args.positionSide
+                );
+                break;
+
+            case 'futures_limit_order':
+                result = await toolsApi.futures.limitOrder(args.symbol, args.side, args.price, args.quantity, {
+                    timeInForce: args.timeInForce,
+                    postOnly: args.postOnly,
+                    reduceOnly: args.reduceOnly,
+                    positionSide: args.positionSide
+                });
+                break;
+
+            case 'get_premium_index':
+                result = await toolsApi.futures.getPremiumIndex(args.symbol, {
+                    limit: args.limit,
+                    sort: args.sort
+                });
+                break;
+
+            case 'get_funding_rate_history':
+                result = await toolsApi.futures.getFundingRateHistory(args.symbol, {
+                    startTime: args.startTime,
+                    endTime: args.endTime,
+                    limit: args.limit,
+                    includeHistory: args.includeHistory
+                });
+                break;
+
+            case 'get_open_interest':
+                result = await toolsApi.futures.getOpenInterest(args.symbol);
+                break;
+
             case 'get_network_balance':
                 result = await toolsApi.getNetworkBalance(args.network, args.address, args.tokenAddress);
                 break;
 
+            case 'get_wallet_inventory':
+                result = await toolsApi.getWalletInventory(args.networks, args.quoteAsset, args.includeZero);
+                break;
+
+            case 'get_portfolio_history':
+                result = await toolsApi.getPortfolioHistory(args.period, args.maxPoints, args.snapshotNow);
+                break;
+
             case 'deposit':
-                result = await toolsApi.deposit(args.network, args.token, args.amount, args.privateKey);
+                result = await toolsApi.deposit(
+                    args.network,
+                    args.token,
+                    args.amount,
+                    args.privateKey,
+                    args.targetAccount
+                );
+                break;
+
+            case 'transfer_between_accounts':
+                result = await toolsApi.transferBetweenAccounts(args.asset, args.amount, args.from, args.to);
                 break;
 
             case 'get_withdraw_fee':
                 result = await toolsApi.getWithdrawFee(args.token, args.network);
                 break;
 
+            case 'wait_for_withdrawal':
+                result = await toolsApi.waitForWithdrawal(args.withdrawId, args.timeoutSeconds, args.confirmations);
+                break;
+
             case 'withdraw':
                 result = await toolsApi.withdraw(
                     args.network,
@@ -343,9 +1593,153 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
     }
 });
 
+// Resources clients can read and subscribe to for change notifications
+const RESOURCES = [
+    {
+        uri: 'aster://alerts',
+        name: 'Price alerts',
+        description: 'All price alerts with status, last evaluated value and trigger details',
+        mimeType: 'application/json',
+    },
+    {
+        uri: 'aster://clock',
+        name: 'Exchange clock offset',
+        description: 'Offset to exchange server time applied to signed requests, with last sync time and whether the local clock alone is within recvWindow',
+        mimeType: 'application/json',
+    },
+];
+
+const subscribedResources = new Set();
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: RESOURCES,
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+    const { uri } = request.params;
+
+    if (uri === 'aster://alerts') {
+        return {
+            contents: [
+                {
+                    uri,
+                    mimeType: 'application/json',
+                    text: JSON.stringify(toolsApi.alerts.list(), null, 2),
+                },
+            ],
+        };
+    }
+
+    if (uri === 'aster://clock') {
+        return {
+            contents: [
+                {
+                    uri,
+                    mimeType: 'application/json',
+                    text: JSON.stringify(toolsApi.timeSync.getStatus(toolsApi.recvWindow), null, 2),
+                },
+            ],
+        };
+    }
+
+    throw new Error(`Unknown resource: ${uri}`);
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    subscribedResources.add(request.params.uri);
+    return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    subscribedResources.delete(request.params.uri);
+    return {};
+});
+
 async function main() {
     const transport = new StdioServerTransport();
     await server.connect(transport);
+
+    // Keep signed request timestamps aligned with exchange server time
+    toolsApi.timeSync.start();
+
+    // Sync orders and balances from the user data stream and forward fills/cancels to the client
+    if (toolsApi.userStreamEnabled) {
+        toolsApi.userStream.on('order', (event) => {
+            server.sendLoggingMessage({
+                level: event.event === 'rejected' ? 'warning' : 'info',
+                logger: 'aster.orders',
+                data: event,
+            }).catch((error) => console.error('Failed to send order notification:', error.message));
+        });
+        await toolsApi.userStream.start();
+    }
+
+    // Evaluate persisted price alerts and notify the client when one fires
+    toolsApi.alerts.on('triggered', (alert) => {
+        server.sendLoggingMessage({
+            level: 'notice',
+            logger: 'aster.alerts',
+            data: alert,
+        }).catch((error) => console.error('Failed to send alert notification:', error.message));
+
+        if (subscribedResources.has('aster://alerts')) {
+            server.sendResourceUpdated({ uri: 'aster://alerts' })
+                .catch((error) => console.error('Failed to send resource update:', error.message));
+        }
+    });
+    toolsApi.alerts.start();
+
+    // Run recurring buys and report each run to the client
+    toolsApi.dca.on('run', ({ plan, run }) => {
+        server.sendLoggingMessage({
+            level: run.status === 'failed' ? 'warning' : 'info',
+            logger: 'aster.dca',
+            data: { planId: plan.id, symbol: plan.symbol, planStatus: plan.status, ...run },
+        }).catch((error) => console.error('Failed to send DCA notification:', error.message));
+    });
+    toolsApi.dca.start();
+
+    // Keep running grids in sync with their orders and report each fill
+    toolsApi.grids.on('fill', ({ grid, fill }) => {
+        server.sendLoggingMessage({
+            level: 'info',
+            logger: 'aster.grid',
+            data: {
+                gridId: grid.id,
+                symbol: grid.symbol,
+                ...fill,
+                realizedProfit: grid.realizedProfit,
+                completedCycles: grid.completedCycles,
+            },
+        }).catch((error) => console.error('Failed to send grid notification:', error.message));
+    });
+    toolsApi.grids.startSync();
+
+    // Record valued portfolio snapshots for get_portfolio_history
+    toolsApi.snapshots.start();
+
+    // Follow withdrawals until confirmed on chain and report each status change
+    toolsApi.withdrawals.on('update', ({ withdrawal }) => {
+        server.sendLoggingMessage({
+            level: withdrawal.status === 'failed' || withdrawal.status === 'expired' ? 'warning' : 'info',
+            logger: 'aster.withdrawals',
+            data: {
+                withdrawId: withdrawal.id,
+                network: withdrawal.network,
+                asset: withdrawal.asset,
+                amount: withdrawal.amount,
+                status: withdrawal.status,
+                stage: withdrawal.stage,
+                txHash: withdrawal.txHash,
+                confirmations: withdrawal.confirmations,
+                requiredConfirmations: withdrawal.requiredConfirmations,
+                explorerUrl: withdrawal.explorerUrl,
+                reason: withdrawal.reason,
+            },
+        }).catch((error) => console.error('Failed to send withdrawal notification:', error.message));
+    });
+    toolsApi.withdrawals.start();
+
     console.error('Aster MCP Server running on stdio');
     console.error('Supported networks: Ethereum, Arbitrum, BNB Chain, Solana');
 }
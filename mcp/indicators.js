@@ -0,0 +1,192 @@
+/**
+ * Technical indicators
+ *
+ * Pure functions computing common indicators over candle data so tools can
+ * return a few numbers instead of hundreds of raw klines.
+ * Series functions return arrays aligned with the input (null until enough data).
+ */
+
+/**
+ * Simple moving average
+ * @param {number[]} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>} SMA series
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= period) {
+            sum -= values[i - period];
+        }
+        if (i >= period - 1) {
+            result[i] = sum / period;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Exponential moving average (seeded with the SMA of the first period values)
+ * @param {number[]} values - Input series
+ * @param {number} period - Window length
+ * @returns {Array<number|null>} EMA series
+ */
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+
+    if (values.length < period) {
+        return result;
+    }
+
+    const k = 2 / (period + 1);
+    let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+    result[period - 1] = prev;
+
+    for (let i = period; i < values.length; i++) {
+        prev = values[i] * k + prev * (1 - k);
+        result[i] = prev;
+    }
+
+    return result;
+}
+
+/**
+ * Relative Strength Index using Wilder's smoothing
+ * @param {number[]} values - Close prices
+ * @param {number} period - Window length (default 14)
+ * @returns {Array<number|null>} RSI series (0-100)
+ */
+function rsi(values, period = 14) {
+    const result = new Array(values.length).fill(null);
+
+    if (values.length <= period) {
+        return result;
+    }
+
+    let gain = 0;
+    let loss = 0;
+
+    for (let i = 1; i <= period; i++) {
+        const change = values[i] - values[i - 1];
+        if (change > 0) gain += change;
+        else loss -= change;
+    }
+
+    let avgGain = gain / period;
+    let avgLoss = loss / period;
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < values.length; i++) {
+        const change = values[i] - values[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRsi();
+    }
+
+    return result;
+}
+
+/**
+ * Moving Average Convergence Divergence
+ * @param {number[]} values - Close prices
+ * @param {number} fast - Fast EMA period (default 12)
+ * @param {number} slow - Slow EMA period (default 26)
+ * @param {number} signal - Signal EMA period (default 9)
+ * @returns {Object} {macd, signal, histogram} series
+ */
+function macd(values, fast = 12, slow = 26, signal = 9) {
+    const fastEma = ema(values, fast);
+    const slowEma = ema(values, slow);
+    const macdLine = values.map((_, i) =>
+        fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+    );
+
+    // Signal line is an EMA over the defined part of the MACD line
+    const firstDefined = macdLine.findIndex(v => v !== null);
+    const signalLine = new Array(values.length).fill(null);
+
+    if (firstDefined !== -1) {
+        const signalEma = ema(macdLine.slice(firstDefined), signal);
+        signalEma.forEach((v, i) => {
+            signalLine[firstDefined + i] = v;
+        });
+    }
+
+    const histogram = macdLine.map((v, i) =>
+        v !== null && signalLine[i] !== null ? v - signalLine[i] : null
+    );
+
+    return { macd: macdLine, signal: signalLine, histogram };
+}
+
+/**
+ * Bollinger Bands
+ * @param {number[]} values - Close prices
+ * @param {number} period - Window length (default 20)
+ * @param {number} multiplier - Standard deviation multiplier (default 2)
+ * @returns {Object} {middle, upper, lower} series
+ */
+function bollingerBands(values, period = 20, multiplier = 2) {
+    const middle = sma(values, period);
+    const upper = new Array(values.length).fill(null);
+    const lower = new Array(values.length).fill(null);
+
+    for (let i = period - 1; i < values.length; i++) {
+        const window = values.slice(i - period + 1, i + 1);
+        const mean = middle[i];
+        const variance = window.reduce((acc, v) => acc + (v - mean) ** 2, 0) / period;
+        const stdDev = Math.sqrt(variance);
+
+        upper[i] = mean + multiplier * stdDev;
+        lower[i] = mean - multiplier * stdDev;
+    }
+
+    return { middle, upper, lower };
+}
+
+/**
+ * Volume-weighted average price over a set of candles (typical price weighted by volume)
+ * @param {Array<{high: number, low: number, close: number, volume: number}>} candles - Candles
+ * @returns {number|null} VWAP, or null if there is no volume
+ */
+function vwap(candles) {
+    let pv = 0;
+    let volume = 0;
+
+    for (const c of candles) {
+        const typical = (c.high + c.low + c.close) / 3;
+        pv += typical * c.volume;
+        volume += c.volume;
+    }
+
+    return volume > 0 ? pv / volume : null;
+}
+
+/**
+ * Get the last non-null value of a series
+ * @param {Array<number|null>} series - Indicator series
+ * @returns {number|null} Latest value
+ */
+function latest(series) {
+    for (let i = series.length - 1; i >= 0; i--) {
+        if (series[i] !== null && series[i] !== undefined) {
+            return series[i];
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    sma,
+    ema,
+    rsi,
+    macd,
+    bollingerBands,
+    vwap,
+    latest
+};
@@ -0,0 +1,316 @@
+/**
+ * Market data analysis helpers
+ *
+ * Pure functions that turn raw market data (order book levels, trades)
+ * into compact numbers an agent can reason about.
+ */
+
+/**
+ * Convert raw [price, qty] string levels to numbers
+ * @param {Array<Array<string>>} levels - Raw levels from the depth endpoint
+ * @returns {Array<{price: number, qty: number}>} Parsed levels
+ */
+function parseLevels(levels = []) {
+    return levels.map(([price, qty]) => ({
+        price: parseFloat(price),
+        qty: parseFloat(qty)
+    }));
+}
+
+/**
+ * Sum base quantity and quote value of levels within a price bound
+ * @param {Array<{price: number, qty: number}>} levels - Parsed levels, best first
+ * @param {Function} withinBound - Predicate for the level price
+ * @returns {Object} {baseQty, quoteValue, truncated} - truncated when every level is within the bound,
+ *   so the band may extend past the fetched depth
+ */
+function sumLevels(levels, withinBound) {
+    let baseQty = 0;
+    let quoteValue = 0;
+
+    for (const level of levels) {
+        if (!withinBound(level.price)) {
+            return { baseQty, quoteValue, truncated: false };
+        }
+        baseQty += level.qty;
+        quoteValue += level.qty * level.price;
+    }
+
+    return { baseQty, quoteValue, truncated: true };
+}
+
+/**
+ * Simulate a market order walking the book
+ * @param {Array<{price: number, qty: number}>} levels - Asks for a BUY, bids for a SELL (best first)
+ * @param {number} quoteAmount - Quote asset amount to spend (BUY) or receive (SELL)
+ * @returns {Object} Fill simulation: average price, worst price, filled amounts
+ */
+function simulateFill(levels, quoteAmount) {
+    let remaining = quoteAmount;
+    let baseFilled = 0;
+    let quoteFilled = 0;
+    let worstPrice = null;
+    let levelsConsumed = 0;
+
+    for (const level of levels) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const levelQuote = level.qty * level.price;
+        const takeQuote = Math.min(levelQuote, remaining);
+
+        baseFilled += takeQuote / level.price;
+        quoteFilled += takeQuote;
+        remaining -= takeQuote;
+        worstPrice = level.price;
+        levelsConsumed++;
+    }
+
+    return {
+        avgPrice: baseFilled > 0 ? quoteFilled / baseFilled : null,
+        worstPrice,
+        baseFilled,
+        quoteFilled,
+        levelsConsumed,
+        fullyFilled: remaining <= 1e-12
+    };
+}
+
+/**
+ * Analyze an order book: best prices, spread, depth bands and optional fill simulation
+ * @param {Object} book - Raw depth response {bids, asks}
+ * @param {Object} options - Options
+ * @param {number[]} options.depthBands - Percent distances from mid (default 0.5, 1, 2)
+ * @param {number} options.quoteAmount - Optional quote amount to simulate a market order for
+ * @param {string} options.side - Side to simulate: BUY (walk asks) or SELL (walk bids)
+ * @returns {Object} Analysis
+ */
+function analyzeOrderBook(book, options = {}) {
+    const { depthBands = [0.5, 1, 2], quoteAmount = null, side = 'BUY' } = options;
+
+    const bids = parseLevels(book.bids);
+    const asks = parseLevels(book.asks);
+
+    const bestBid = bids.length > 0 ? bids[0].price : null;
+    const bestAsk = asks.length > 0 ? asks[0].price : null;
+
+    if (bestBid === null || bestAsk === null) {
+        return {
+            bestBid,
+            bestAsk,
+            midPrice: null,
+            spread: null,
+            spreadBps: null,
+            depth: [],
+            fill: null
+        };
+    }
+
+    const midPrice = (bestBid + bestAsk) / 2;
+    const spread = bestAsk - bestBid;
+
+    const depth = depthBands.map(percent => {
+        const bidBound = midPrice * (1 - percent / 100);
+        const askBound = midPrice * (1 + percent / 100);
+        const bidDepth = sumLevels(bids, price => price >= bidBound);
+        const askDepth = sumLevels(asks, price => price <= askBound);
+
+        return {
+            percent,
+            bidBaseQty: bidDepth.baseQty,
+            bidQuoteValue: bidDepth.quoteValue,
+            askBaseQty: askDepth.baseQty,
+            askQuoteValue: askDepth.quoteValue,
+            // The book was cut off inside the band: raise limit for the full figure
+            truncated: bidDepth.truncated || askDepth.truncated
+        };
+    });
+
+    let fill = null;
+    if (quoteAmount) {
+        const sideUpper = side.toUpperCase();
+        const simulation = simulateFill(sideUpper === 'SELL' ? bids : asks, parseFloat(quoteAmount));
+        const reference = sideUpper === 'SELL' ? bestBid : bestAsk;
+
+        fill = {
+            side: sideUpper,
+            quoteAmount: parseFloat(quoteAmount),
+            ...simulation,
+            // Slippage of the average fill against the best price on that side
+            slippageBps: simulation.avgPrice !== null
+                ? Math.abs(simulation.avgPrice - reference) / reference * 10000
+                : null,
+            priceImpactBps: simulation.worstPrice !== null
+                ? Math.abs(simulation.worstPrice - midPrice) / midPrice * 10000
+                : null
+        };
+    }
+
+    return {
+        bestBid,
+        bestAsk,
+        midPrice,
+        spread,
+        spreadBps: spread / midPrice * 10000,
+        depth,
+        fill
+    };
+}
+
+/**
+ * Summarize trade flow: buy/sell pressure, trade count and VWAP
+ * Taker side is derived from isBuyerMaker (buyer is maker => taker sold).
+ * Aggregate trades (with firstTradeId/lastTradeId) count as every fill they bundle.
+ * @param {Array<{price: number, qty: number, time: number, isBuyerMaker: boolean, firstTradeId?: number, lastTradeId?: number}>} trades - Normalized trades
+ * @returns {Object} Flow summary
+ */
+function summarizeTrades(trades) {
+    if (!trades || trades.length === 0) {
+        return {
+            tradeCount: 0,
+            vwap: null,
+            buyVolume: 0,
+            sellVolume: 0,
+            buyQuoteVolume: 0,
+            sellQuoteVolume: 0,
+            buyRatio: null,
+            netQuoteFlow: 0,
+            pressure: 'none'
+        };
+    }
+
+    let buyVolume = 0;
+    let sellVolume = 0;
+    let buyQuoteVolume = 0;
+    let sellQuoteVolume = 0;
+    let tradeCount = 0;
+    let buyCount = 0;
+
+    for (const t of trades) {
+        const quote = t.price * t.qty;
+        const fills = t.lastTradeId !== undefined && t.firstTradeId !== undefined
+            ? t.lastTradeId - t.firstTradeId + 1
+            : 1;
+
+        tradeCount += fills;
+        if (t.isBuyerMaker) {
+            sellVolume += t.qty;
+            sellQuoteVolume += quote;
+        } else {
+            buyVolume += t.qty;
+            buyQuoteVolume += quote;
+            buyCount += fills;
+        }
+    }
+
+    const totalVolume = buyVolume + sellVolume;
+    const totalQuote = buyQuoteVolume + sellQuoteVolume;
+    const buyRatio = totalQuote > 0 ? buyQuoteVolume / totalQuote : null;
+
+    // Rough label for the agent; 55/45 split counts as balanced
+    let pressure = 'balanced';
+    if (buyRatio !== null && buyRatio > 0.55) pressure = 'buy';
+    if (buyRatio !== null && buyRatio < 0.45) pressure = 'sell';
+
+    const times = trades.map(t => t.time);
+    const prices = trades.map(t => t.price);
+
+    return {
+        tradeCount,
+        buyCount,
+        sellCount: tradeCount - buyCount,
+        from: new Date(Math.min(...times)).toISOString(),
+        to: new Date(Math.max(...times)).toISOString(),
+        vwap: totalVolume > 0 ? totalQuote / totalVolume : null,
+        high: Math.max(...prices),
+        low: Math.min(...prices),
+        buyVolume,
+        sellVolume,
+        buyQuoteVolume,
+        sellQuoteVolume,
+        buyRatio,
+        netQuoteFlow: buyQuoteVolume - sellQuoteVolume,
+        pressure
+    };
+}
+
+// Perpetual funding is settled every 8 hours unless the history says otherwise
+const DEFAULT_FUNDING_INTERVAL_HOURS = 8;
+
+/**
+ * Annualize a per-interval funding rate (simple, not compounded)
+ * @param {number} rate - Funding rate per interval (e.g., 0.0001 = 0.01%)
+ * @param {number} intervalHours - Hours between funding settlements
+ * @returns {number|null} Annualized rate as a fraction (0.1095 = 10.95%)
+ */
+function annualizeFundingRate(rate, intervalHours = DEFAULT_FUNDING_INTERVAL_HOURS) {
+    const value = parseFloat(rate);
+    if (!Number.isFinite(value) || !intervalHours) {
+        return null;
+    }
+    return value * (24 / intervalHours) * 365;
+}
+
+/**
+ * Summarize funding rate history: average, cumulative and annualized carry
+ * The funding interval is inferred from the median gap between settlements.
+ * @param {Array<{fundingRate: string|number, fundingTime: number}>} history - Funding records, any order
+ * @returns {Object} Funding summary
+ */
+function summarizeFundingRates(history) {
+    if (!history || history.length === 0) {
+        return {
+            count: 0,
+            intervalHours: DEFAULT_FUNDING_INTERVAL_HOURS,
+            averageRate: null,
+            cumulativeRate: 0,
+            annualizedRate: null,
+            positiveCount: 0,
+            negativeCount: 0
+        };
+    }
+
+    const sorted = [...history].sort((a, b) => a.fundingTime - b.fundingTime);
+    const rates = sorted.map(r => parseFloat(r.fundingRate));
+
+    let intervalHours = DEFAULT_FUNDING_INTERVAL_HOURS;
+    if (sorted.length > 1) {
+        const gaps = sorted.slice(1)
+            .map((r, i) => r.fundingTime - sorted[i].fundingTime)
+            .sort((a, b) => a - b);
+        const medianGap = gaps[Math.floor(gaps.length / 2)];
+        // Round to whole hours; settlement times jitter by a few ms
+        const hours = Math.round(medianGap / 3600000);
+        if (hours > 0) {
+            intervalHours = hours;
+        }
+    }
+
+    const cumulativeRate = rates.reduce((a, b) => a + b, 0);
+    const averageRate = cumulativeRate / rates.length;
+
+    return {
+        count: rates.length,
+        from: new Date(sorted[0].fundingTime).toISOString(),
+        to: new Date(sorted[sorted.length - 1].fundingTime).toISOString(),
+        intervalHours,
+        averageRate,
+        cumulativeRate,
+        annualizedRate: annualizeFundingRate(averageRate, intervalHours),
+        minRate: Math.min(...rates),
+        maxRate: Math.max(...rates),
+        positiveCount: rates.filter(r => r > 0).length,
+        negativeCount: rates.filter(r => r < 0).length
+    };
+}
+
+module.exports = {
+    parseLevels,
+    simulateFill,
+    analyzeOrderBook,
+    summarizeTrades,
+    annualizeFundingRate,
+    summarizeFundingRates,
+    DEFAULT_FUNDING_INTERVAL_HOURS
+};
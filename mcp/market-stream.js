@@ -0,0 +1,364 @@
+/**
+ * Live market data over WebSocket
+ *
+ * Subscribes to ticker, book-ticker, trade and partial depth streams for
+ * symbols on demand and keeps the latest values in memory, so tools polled
+ * in a loop can answer from the cache instead of spending REST weight.
+ * Uses the combined stream endpoint so every message carries its stream name.
+ */
+
+const WebSocket = require('ws');
+
+// Cached values older than this are treated as stale (REST fallback)
+const DEFAULT_MAX_AGE_MS = 5 * 1000;
+
+// Reconnect backoff: 1s doubling up to 30s
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// Symbols nobody asked about for this long are unsubscribed
+const IDLE_UNSUBSCRIBE_MS = 10 * 60 * 1000;
+
+// Partial book depth levels kept per symbol
+const DEPTH_LEVELS = 20;
+
+const STREAM_SUFFIXES = {
+    ticker: 'ticker',
+    bookTicker: 'bookTicker',
+    trade: 'trade',
+    depth: `depth${DEPTH_LEVELS}@100ms`
+};
+
+class MarketStream {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.baseUrl - WebSocket base URL (e.g., "wss://sstream.asterdex.com")
+     * @param {number} options.maxAgeMs - Cache freshness window in ms (0 disables streaming)
+     */
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || 'wss://sstream.asterdex.com').replace(/\/+$/, '');
+        this.maxAgeMs = options.maxAgeMs !== undefined ? options.maxAgeMs : DEFAULT_MAX_AGE_MS;
+        this.enabled = this.maxAgeMs > 0;
+
+        this.ws = null;
+        this.connected = false;
+        this.streams = new Set();
+        this.lastRequested = new Map();
+        this.cache = new Map();
+        this.requestId = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.sweepTimer = null;
+        this.stopped = false;
+        this.lastError = null;
+    }
+
+    /**
+     * Subscribe to streams for a symbol (no-op if already subscribed)
+     * @param {string} symbol - Listed symbol (e.g., "BTCUSDT")
+     * @param {string[]} types - Any of ticker, bookTicker, trade, depth
+     */
+    watch(symbol, types = ['ticker', 'bookTicker', 'trade']) {
+        if (!this.enabled) {
+            return;
+        }
+
+        this.lastRequested.set(symbol, Date.now());
+
+        const added = types
+            .map(type => {
+                if (!STREAM_SUFFIXES[type]) {
+                    throw new Error(`Unknown stream type: ${type}`);
+                }
+                return `${symbol.toLowerCase()}@${STREAM_SUFFIXES[type]}`;
+            })
+            .filter(stream => !this.streams.has(stream));
+
+        if (added.length === 0) {
+            return;
+        }
+
+        added.forEach(stream => this.streams.add(stream));
+
+        if (this.connected) {
+            this._send('SUBSCRIBE', added);
+        } else {
+            this._connect();
+        }
+
+        this._startSweep();
+    }
+
+    /**
+     * Get the latest price for a symbol if the cache is fresh
+     * @param {string} symbol - Listed symbol
+     * @returns {Object|null} {price, bid, ask, time, ageMs} or null if stale/missing
+     */
+    getPrice(symbol) {
+        const entry = this._freshEntry(symbol, 'priceUpdatedAt');
+        if (!entry || entry.price === null) {
+            return null;
+        }
+
+        return {
+            price: entry.price,
+            bid: entry.bid,
+            ask: entry.ask,
+            time: entry.priceTime,
+            ageMs: Date.now() - entry.priceUpdatedAt
+        };
+    }
+
+    /**
+     * Get the cached partial order book for a symbol if fresh
+     * @param {string} symbol - Listed symbol
+     * @returns {Object|null} {lastUpdateId, bids, asks, ageMs} or null if stale/missing
+     */
+    getOrderBook(symbol) {
+        const entry = this._freshEntry(symbol, 'bookUpdatedAt');
+        if (!entry || !entry.book) {
+            return null;
+        }
+
+        return {
+            ...entry.book,
+            ageMs: Date.now() - entry.bookUpdatedAt
+        };
+    }
+
+    /**
+     * Stream status for diagnostics
+     * @returns {Object} Connection state and subscriptions
+     */
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            connected: this.connected,
+            streams: [...this.streams],
+            cachedSymbols: this.cache.size,
+            reconnectAttempts: this.reconnectAttempts,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Close the connection and stop reconnecting
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.sweepTimer);
+        this.reconnectTimer = null;
+        this.sweepTimer = null;
+
+        if (this.ws) {
+            this.ws.terminate();
+            this.ws = null;
+        }
+        this.connected = false;
+    }
+
+    /**
+     * Open the combined stream connection and subscribe to all wanted streams
+     * @private
+     */
+    _connect() {
+        if (this.ws || this.stopped || this.reconnectTimer) {
+            return;
+        }
+
+        const ws = new WebSocket(`${this.baseUrl}/stream`);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.connected = true;
+            this.reconnectAttempts = 0;
+            this.lastError = null;
+            console.error(`Market stream connected (${this.streams.size} streams)`);
+
+            if (this.streams.size > 0) {
+                this._send('SUBSCRIBE', [...this.streams]);
+            }
+        });
+
+        ws.on('message', raw => this._handleMessage(raw));
+
+        ws.on('error', error => {
+            this.lastError = error.message;
+            console.error('Market stream error:', error.message);
+        });
+
+        ws.on('close', () => {
+            this.ws = null;
+            this.connected = false;
+            // Cached values stop updating once disconnected
+            this.cache.clear();
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter while streams are wanted
+     * @private
+     */
+    _scheduleReconnect() {
+        if (this.stopped || this.streams.size === 0 || this.reconnectTimer) {
+            return;
+        }
+
+        const backoff = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS);
+        const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+        this.reconnectAttempts++;
+
+        console.error(`Market stream reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this._connect();
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+
+    /**
+     * Send a SUBSCRIBE/UNSUBSCRIBE request
+     * @param {string} method - SUBSCRIBE or UNSUBSCRIBE
+     * @param {string[]} params - Stream names
+     * @private
+     */
+    _send(method, params) {
+        if (!this.ws || !this.connected) {
+            return;
+        }
+        this.ws.send(JSON.stringify({ method, params, id: ++this.requestId }));
+    }
+
+    /**
+     * Apply a combined-stream message to the cache
+     * @param {Buffer|string} raw - Raw message
+     * @private
+     */
+    _handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            return;
+        }
+
+        // Subscription acks ({result, id}) carry no stream data
+        if (!message.stream || !message.data) {
+            return;
+        }
+
+        const [streamSymbol, ...rest] = message.stream.split('@');
+        const type = rest.join('@');
+        const symbol = streamSymbol.toUpperCase();
+        const data = message.data;
+        const entry = this._entry(symbol);
+        const now = Date.now();
+
+        if (type === STREAM_SUFFIXES.ticker) {
+            entry.price = data.c;
+            entry.priceTime = data.E;
+            entry.priceUpdatedAt = now;
+        } else if (type === STREAM_SUFFIXES.trade) {
+            entry.price = data.p;
+            entry.priceTime = data.T;
+            entry.priceUpdatedAt = now;
+        } else if (type === STREAM_SUFFIXES.bookTicker) {
+            entry.bid = data.b;
+            entry.ask = data.a;
+        } else if (type === STREAM_SUFFIXES.depth) {
+            entry.book = {
+                lastUpdateId: data.lastUpdateId,
+                bids: data.bids,
+                asks: data.asks
+            };
+            entry.bookUpdatedAt = now;
+        }
+    }
+
+    /**
+     * Get or create the cache entry for a symbol
+     * @param {string} symbol - Listed symbol
+     * @returns {Object} Cache entry
+     * @private
+     */
+    _entry(symbol) {
+        if (!this.cache.has(symbol)) {
+            this.cache.set(symbol, {
+                price: null,
+                priceTime: null,
+                priceUpdatedAt: 0,
+                bid: null,
+                ask: null,
+                book: null,
+                bookUpdatedAt: 0
+            });
+        }
+        return this.cache.get(symbol);
+    }
+
+    /**
+     * Get a cache entry if the given timestamp field is within maxAgeMs
+     * @param {string} symbol - Listed symbol
+     * @param {string} field - priceUpdatedAt or bookUpdatedAt
+     * @returns {Object|null} Cache entry
+     * @private
+     */
+    _freshEntry(symbol, field) {
+        if (!this.enabled || !this.connected) {
+            return null;
+        }
+
+        const entry = this.cache.get(symbol);
+        if (!entry || Date.now() - entry[field] > this.maxAgeMs) {
+            return null;
+        }
+
+        this.lastRequested.set(symbol, Date.now());
+        return entry;
+    }
+
+    /**
+     * Periodically unsubscribe symbols that are no longer requested
+     * @private
+     */
+    _startSweep() {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(() => {
+            const cutoff = Date.now() - IDLE_UNSUBSCRIBE_MS;
+            const idle = [];
+
+            for (const [symbol, requestedAt] of this.lastRequested) {
+                if (requestedAt >= cutoff) {
+                    continue;
+                }
+
+                const prefix = `${symbol.toLowerCase()}@`;
+                for (const stream of this.streams) {
+                    if (stream.startsWith(prefix)) {
+                        idle.push(stream);
+                        this.streams.delete(stream);
+                    }
+                }
+                this.lastRequested.delete(symbol);
+                this.cache.delete(symbol);
+            }
+
+            if (idle.length > 0) {
+                this._send('UNSUBSCRIBE', idle);
+            }
+        }, IDLE_UNSUBSCRIBE_MS / 10);
+        this.sweepTimer.unref();
+    }
+}
+
+module.exports = {
+    MarketStream,
+    DEFAULT_MAX_AGE_MS,
+    DEPTH_LEVELS
+};
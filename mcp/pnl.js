@@ -0,0 +1,199 @@
+/**
+ * Cost basis and PnL
+ *
+ * Replays spot fills of one asset in time order and tracks open lots with
+ * FIFO or average-cost accounting. Each sell closes lots and records the
+ * realized PnL; what remains open is valued at the current price for
+ * unrealized PnL. Amounts are in one valuation asset, fees included.
+ */
+
+const COST_METHODS = ['fifo', 'average'];
+
+// Quantities below this are treated as zero (float dust after many partial fills)
+const QTY_EPSILON = 1e-12;
+
+/**
+ * Normalize exchange fills into base quantity and valuation-asset amounts
+ * Commissions paid in the base asset change the quantity received/disposed;
+ * commissions in any other asset are added to the cost (buys) or taken off the proceeds (sells).
+ * @param {Array<Object>} trades - Formatted trades ({id, symbol, side, price, qty, quoteQty, commission, commissionAsset, time})
+ * @param {Object} pair - {baseAsset, quoteAsset} of the trades' symbol
+ * @param {Function} rateOf - (asset) => rate to the valuation asset, or null if unknown
+ * @returns {Array<Object>} Fills {id, symbol, time, side, qty, amount, fee, price}
+ * @throws {Error} If the quote asset cannot be converted to the valuation asset
+ */
+function normalizeFills(trades, pair, rateOf) {
+    const quoteRate = rateOf(pair.quoteAsset);
+    if (quoteRate === null) {
+        throw new Error(`No price to convert ${pair.quoteAsset} into the valuation asset`);
+    }
+
+    return trades.map(trade => {
+        const qty = parseFloat(trade.qty);
+        const quoteQty = parseFloat(trade.quoteQty);
+        const commission = parseFloat(trade.commission) || 0;
+        const isBuy = trade.side === 'BUY';
+
+        let baseFee = 0;
+        let fee = 0;
+
+        if (commission > 0) {
+            if (trade.commissionAsset === pair.baseAsset) {
+                baseFee = commission;
+                fee = commission * parseFloat(trade.price) * quoteRate;
+            } else {
+                const feeRate = rateOf(trade.commissionAsset);
+                // Fees in an asset we cannot price are left out rather than failing the whole report
+                fee = feeRate !== null ? commission * feeRate : 0;
+            }
+        }
+
+        const value = quoteQty * quoteRate;
+        const otherFee = baseFee > 0 ? 0 : fee;
+
+        return {
+            id: trade.id,
+            symbol: trade.symbol,
+            time: trade.time,
+            side: trade.side,
+            // Base actually received (buys) or given up (sells)
+            qty: isBuy ? qty - baseFee : qty + baseFee,
+            // Cost including fees (buys) or proceeds net of fees (sells)
+            amount: isBuy ? value + otherFee : value - otherFee,
+            fee,
+            price: parseFloat(trade.price) * quoteRate
+        };
+    });
+}
+
+/**
+ * Replay fills and compute open lots and realized PnL
+ * @param {Array<Object>} fills - Fills from normalizeFills (any order)
+ * @param {string} method - fifo or average
+ * @returns {Object} {position: {qty, costBasis, averageCost}, openLots, realized: [...], unmatchedQty}
+ * @throws {Error} If the method is invalid
+ */
+function computeCostBasis(fills, method = 'fifo') {
+    if (!COST_METHODS.includes(method)) {
+        throw new Error(`Invalid method. Must be one of: ${COST_METHODS.join(', ')}`);
+    }
+
+    const sorted = [...fills].sort((a, b) => a.time - b.time || String(a.id).localeCompare(String(b.id)));
+    let lots = [];
+    const realized = [];
+    let unmatchedQty = 0;
+
+    for (const fill of sorted) {
+        if (fill.side === 'BUY') {
+            if (fill.qty <= QTY_EPSILON) {
+                continue;
+            }
+
+            if (method === 'average' && lots.length > 0) {
+                // One pooled lot at the running average cost
+                lots[0].qty += fill.qty;
+                lots[0].cost += fill.amount;
+            } else {
+                lots.push({ qty: fill.qty, cost: fill.amount, time: fill.time, tradeId: fill.id });
+            }
+            continue;
+        }
+
+        // SELL: close lots from the front
+        let remaining = fill.qty;
+        const proceedsPerUnit = fill.qty > 0 ? fill.amount / fill.qty : 0;
+
+        while (remaining > QTY_EPSILON && lots.length > 0) {
+            const lot = lots[0];
+            const closeQty = Math.min(remaining, lot.qty);
+            const costBasis = lot.cost * (closeQty / lot.qty);
+            const proceeds = proceedsPerUnit * closeQty;
+
+            realized.push({
+                sellTradeId: fill.id,
+                sellTime: fill.time,
+                symbol: fill.symbol,
+                qty: closeQty,
+                buyTime: method === 'fifo' ? lot.time : null,
+                costBasis,
+                proceeds,
+                pnl: proceeds - costBasis
+            });
+
+            lot.qty -= closeQty;
+            lot.cost -= costBasis;
+            remaining -= closeQty;
+
+            if (lot.qty <= QTY_EPSILON) {
+                lots.shift();
+            }
+        }
+
+        // Sold more than the fills account for (deposits, or history older than fetched)
+        if (remaining > QTY_EPSILON) {
+            unmatchedQty += remaining;
+            realized.push({
+                sellTradeId: fill.id,
+                sellTime: fill.time,
+                symbol: fill.symbol,
+                qty: remaining,
+                buyTime: null,
+                costBasis: null,
+                proceeds: proceedsPerUnit * remaining,
+                pnl: null
+            });
+        }
+    }
+
+    lots = lots.filter(lot => lot.qty > QTY_EPSILON);
+    const qty = lots.reduce((sum, lot) => sum + lot.qty, 0);
+    const costBasis = lots.reduce((sum, lot) => sum + lot.cost, 0);
+
+    return {
+        position: {
+            qty,
+            costBasis,
+            averageCost: qty > 0 ? costBasis / qty : null
+        },
+        openLots: lots.map(lot => ({
+            qty: lot.qty,
+            cost: lot.cost,
+            costPerUnit: lot.cost / lot.qty,
+            time: lot.time,
+            tradeId: lot.tradeId
+        })),
+        realized,
+        unmatchedQty
+    };
+}
+
+/**
+ * Sum realized entries within a time range
+ * @param {Array<Object>} realized - Realized entries from computeCostBasis
+ * @param {number} startTime - Optional: Start (ms, inclusive)
+ * @param {number} endTime - Optional: End (ms, inclusive)
+ * @returns {Object} {pnl, proceeds, costBasis, closedQty, count, unmatchedQty, entries}
+ */
+function summarizeRealized(realized, startTime = null, endTime = null) {
+    const entries = realized.filter(r =>
+        (!startTime || r.sellTime >= startTime) && (!endTime || r.sellTime <= endTime)
+    );
+    const matched = entries.filter(r => r.pnl !== null);
+
+    return {
+        pnl: matched.reduce((sum, r) => sum + r.pnl, 0),
+        proceeds: matched.reduce((sum, r) => sum + r.proceeds, 0),
+        costBasis: matched.reduce((sum, r) => sum + r.costBasis, 0),
+        closedQty: matched.reduce((sum, r) => sum + r.qty, 0),
+        count: matched.length,
+        unmatchedQty: entries.filter(r => r.pnl === null).reduce((sum, r) => sum + r.qty, 0),
+        entries
+    };
+}
+
+module.exports = {
+    normalizeFills,
+    computeCostBasis,
+    summarizeRealized,
+    COST_METHODS
+};
@@ -0,0 +1,146 @@
+/**
+ * Portfolio valuation helpers
+ *
+ * Pure functions that price asset balances in a chosen quote asset using
+ * last prices of the listed pairs. Assets without a direct pair are routed
+ * through intermediate assets (e.g., XYZ -> BNB -> USDT).
+ */
+
+// Longest conversion route (number of pairs) tried before giving up on an asset
+const MAX_ROUTE_HOPS = 3;
+
+/**
+ * Build a conversion graph from listed pairs and their last prices
+ * Each pair gives two edges: base -> quote at price, quote -> base at 1 / price.
+ * @param {Array<Object>} symbols - exchangeInfo symbols ({symbol, baseAsset, quoteAsset, status})
+ * @param {Map<string, number>|Object} prices - Last price per symbol
+ * @returns {Map<string, Array<Object>>} asset => [{to, rate, symbol}]
+ */
+function buildRateGraph(symbols, prices) {
+    const graph = new Map();
+    const priceOf = symbol => parseFloat(prices instanceof Map ? prices.get(symbol) : prices[symbol]);
+
+    const addEdge = (from, to, rate, symbol) => {
+        if (!graph.has(from)) {
+            graph.set(from, []);
+        }
+        graph.get(from).push({ to, rate, symbol });
+    };
+
+    for (const info of symbols) {
+        // Halted pairs keep stale prices
+        if (info.status && info.status !== 'TRADING') {
+            continue;
+        }
+
+        const price = priceOf(info.symbol);
+        if (!(price > 0)) {
+            continue;
+        }
+
+        addEdge(info.baseAsset, info.quoteAsset, price, info.symbol);
+        addEdge(info.quoteAsset, info.baseAsset, 1 / price, info.symbol);
+    }
+
+    return graph;
+}
+
+/**
+ * Find the conversion rate between two assets over the fewest pairs
+ * @param {Map<string, Array<Object>>} graph - Graph from buildRateGraph
+ * @param {string} from - Asset to convert
+ * @param {string} to - Target asset
+ * @param {number} maxHops - Maximum number of pairs in the route
+ * @returns {Object|null} {rate, route: [assets], symbols: [pairs]} or null if unreachable
+ */
+function findConversion(graph, from, to, maxHops = MAX_ROUTE_HOPS) {
+    if (from === to) {
+        return { rate: 1, route: [from], symbols: [] };
+    }
+
+    // Breadth-first: the shortest route uses the fewest (possibly stale) prices
+    const visited = new Set([from]);
+    let frontier = [{ asset: from, rate: 1, route: [from], symbols: [] }];
+
+    for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+        const next = [];
+
+        for (const node of frontier) {
+            for (const edge of graph.get(node.asset) || []) {
+                if (visited.has(edge.to)) {
+                    continue;
+                }
+
+                const step = {
+                    asset: edge.to,
+                    rate: node.rate * edge.rate,
+                    route: [...node.route, edge.to],
+                    symbols: [...node.symbols, edge.symbol]
+                };
+
+                if (edge.to === to) {
+                    return { rate: step.rate, route: step.route, symbols: step.symbols };
+                }
+
+                visited.add(edge.to);
+                next.push(step);
+            }
+        }
+
+        frontier = next;
+    }
+
+    return null;
+}
+
+/**
+ * Value balances in a quote asset
+ * @param {Array<{asset: string, total: string|number}>} balances - Non-zero balances
+ * @param {string} quoteAsset - Asset to value in (e.g., "USDT")
+ * @param {Map<string, Array<Object>>} graph - Graph from buildRateGraph
+ * @returns {Object} {totalValue, assets: [...with price, value, weight, route], unpriced: [...]}
+ */
+function valueBalances(balances, quoteAsset, graph) {
+    const assets = [];
+    const unpriced = [];
+
+    for (const balance of balances) {
+        const amount = parseFloat(balance.total);
+        const conversion = findConversion(graph, balance.asset, quoteAsset);
+
+        if (!conversion) {
+            unpriced.push({
+                ...balance,
+                reason: graph.has(balance.asset)
+                    ? `No route to ${quoteAsset} within ${MAX_ROUTE_HOPS} pairs`
+                    : 'No listed pair with a price'
+            });
+            continue;
+        }
+
+        assets.push({
+            ...balance,
+            price: conversion.rate,
+            value: amount * conversion.rate,
+            route: conversion.route.length > 2 ? conversion.route : undefined,
+            pairs: conversion.symbols
+        });
+    }
+
+    const totalValue = assets.reduce((sum, a) => sum + a.value, 0);
+
+    for (const asset of assets) {
+        asset.weightPercent = totalValue > 0 ? asset.value / totalValue * 100 : 0;
+    }
+
+    assets.sort((a, b) => b.value - a.value);
+
+    return { totalValue, assets, unpriced };
+}
+
+module.exports = {
+    buildRateGraph,
+    findConversion,
+    valueBalances,
+    MAX_ROUTE_HOPS
+};
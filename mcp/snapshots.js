@@ -0,0 +1,263 @@
+/**
+ * Portfolio snapshot history
+ *
+ * Records the valued portfolio (exchange + on-chain balances) periodically
+ * to a JSON-lines file and turns the series into performance numbers:
+ * value over time, drawdown and period returns.
+ */
+
+const { appendJsonLine, readJsonLines, writeJsonLines } = require('./storage');
+
+const SNAPSHOTS_FILE = 'portfolio-snapshots.jsonl';
+
+// Record a snapshot every hour by default
+const DEFAULT_SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Snapshots older than this are dropped when the file is compacted on start
+const RETENTION_DAYS = 365;
+
+const PERIODS = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000,
+    '1y': 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Return between the latest snapshot and the last one at or before a lookback
+ * @param {Array<{time: number, value: number}>} points - Points, ascending by time
+ * @param {number} lookbackMs - Lookback from the latest point
+ * @returns {Object|null} {from, fromValue, returnPercent} or null without a point that old
+ */
+function periodReturn(points, lookbackMs) {
+    const last = points[points.length - 1];
+    const cutoff = last.time - lookbackMs;
+
+    let reference = null;
+    for (const point of points) {
+        if (point.time > cutoff) {
+            break;
+        }
+        reference = point;
+    }
+
+    if (!reference || !(reference.value > 0)) {
+        return null;
+    }
+
+    return {
+        from: new Date(reference.time).toISOString(),
+        fromValue: reference.value,
+        returnPercent: (last.value - reference.value) / reference.value * 100
+    };
+}
+
+/**
+ * Summarize a snapshot series: change, high/low, drawdown and period returns
+ * Returns are on total value, so deposits and withdrawals show up as gains and losses.
+ * @param {Array<{time: string, totalValue: number}>} snapshots - Snapshots, ascending by time
+ * @returns {Object|null} Summary, or null without snapshots
+ */
+function summarizeHistory(snapshots) {
+    if (!snapshots || snapshots.length === 0) {
+        return null;
+    }
+
+    const points = snapshots.map(s => ({ time: Date.parse(s.time), value: s.totalValue }));
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    let peak = first;
+    let maxDrawdown = { percent: 0, peak: first, trough: first };
+    let high = first;
+    let low = first;
+
+    for (const point of points) {
+        if (point.value > peak.value) {
+            peak = point;
+        }
+        if (peak.value > 0) {
+            const drawdown = (point.value - peak.value) / peak.value * 100;
+            if (drawdown < maxDrawdown.percent) {
+                maxDrawdown = { percent: drawdown, peak, trough: point };
+            }
+        }
+        if (point.value > high.value) high = point;
+        if (point.value < low.value) low = point;
+    }
+
+    const periodReturns = {};
+    for (const [name, ms] of Object.entries(PERIODS)) {
+        periodReturns[name] = periodReturn(points, ms);
+    }
+
+    return {
+        snapshotCount: points.length,
+        from: new Date(first.time).toISOString(),
+        to: new Date(last.time).toISOString(),
+        startValue: first.value,
+        endValue: last.value,
+        change: last.value - first.value,
+        returnPercent: first.value > 0 ? (last.value - first.value) / first.value * 100 : null,
+        high: { value: high.value, time: new Date(high.time).toISOString() },
+        low: { value: low.value, time: new Date(low.time).toISOString() },
+        maxDrawdown: {
+            percent: maxDrawdown.percent,
+            peakValue: maxDrawdown.peak.value,
+            peakTime: new Date(maxDrawdown.peak.time).toISOString(),
+            troughValue: maxDrawdown.trough.value,
+            troughTime: new Date(maxDrawdown.trough.time).toISOString()
+        },
+        currentDrawdownPercent: peak.value > 0 ? (last.value - peak.value) / peak.value * 100 : 0,
+        periodReturns
+    };
+}
+
+/**
+ * Thin a series to at most maxPoints evenly spaced entries, keeping the first and last
+ * @param {Array<*>} items - Series
+ * @param {number} maxPoints - Maximum number of entries
+ * @returns {Array<*>} Thinned series
+ */
+function downsample(items, maxPoints) {
+    if (items.length <= maxPoints || maxPoints < 2) {
+        return items;
+    }
+
+    const step = (items.length - 1) / (maxPoints - 1);
+    return Array.from({ length: maxPoints }, (_, i) => items[Math.round(i * step)]);
+}
+
+class PortfolioSnapshots {
+    /**
+     * @param {Function} takeSnapshot - Async () => snapshot {quoteAsset, totalValue, ...} or null to skip
+     * @param {Object} options - Options
+     * @param {number} options.intervalMs - Snapshot interval in ms (0 disables periodic snapshots)
+     */
+    constructor(takeSnapshot, options = {}) {
+        this.takeSnapshot = takeSnapshot;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_SNAPSHOT_INTERVAL_MS;
+        this.timer = null;
+        this.pending = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Record a snapshot now
+     * @returns {Promise<Object|null>} Recorded snapshot, or null if there was nothing to record
+     */
+    async record() {
+        if (this.pending) {
+            return this.pending;
+        }
+
+        this.pending = (async () => {
+            try {
+                const snapshot = await this.takeSnapshot();
+                if (!snapshot) {
+                    return null;
+                }
+
+                const record = { time: new Date().toISOString(), ...snapshot };
+                appendJsonLine(SNAPSHOTS_FILE, record);
+                this.lastError = null;
+
+                return record;
+            } catch (error) {
+                this.lastError = error.message;
+                throw error;
+            } finally {
+                this.pending = null;
+            }
+        })();
+
+        return this.pending;
+    }
+
+    /**
+     * Read snapshots, optionally limited to a lookback period
+     * @param {string} period - 24h, 7d, 30d, 90d, 1y or all
+     * @returns {Array<Object>} Snapshots, ascending by time
+     * @throws {Error} If the period is invalid
+     */
+    list(period = 'all') {
+        if (period !== 'all' && !PERIODS[period]) {
+            throw new Error(`Invalid period. Must be one of: ${Object.keys(PERIODS).join(', ')}, all`);
+        }
+
+        const snapshots = readJsonLines(SNAPSHOTS_FILE)
+            .sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+        if (period === 'all') {
+            return snapshots;
+        }
+
+        const cutoff = Date.now() - PERIODS[period];
+        return snapshots.filter(s => Date.parse(s.time) >= cutoff);
+    }
+
+    /**
+     * Compact old snapshots and start periodic recording (does not keep the process alive)
+     * Records one snapshot right away if the latest is older than the interval.
+     */
+    start() {
+        if (this.timer || !this.intervalMs) {
+            return;
+        }
+
+        const snapshots = this._compact();
+        const last = snapshots[snapshots.length - 1];
+
+        const run = () => this.record().catch(error => {
+            console.error('Portfolio snapshot failed:', error.message);
+        });
+
+        this.timer = setInterval(run, this.intervalMs);
+        this.timer.unref();
+
+        if (!last || Date.now() - Date.parse(last.time) >= this.intervalMs) {
+            run();
+        }
+    }
+
+    /**
+     * Stop periodic recording
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Drop snapshots past the retention period
+     * @returns {Array<Object>} Remaining snapshots
+     * @private
+     */
+    _compact() {
+        try {
+            const snapshots = this.list('all');
+            const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+            const kept = snapshots.filter(s => Date.parse(s.time) >= cutoff);
+
+            if (kept.length < snapshots.length) {
+                writeJsonLines(SNAPSHOTS_FILE, kept);
+            }
+
+            return kept;
+        } catch (error) {
+            console.error('Failed to compact portfolio snapshots:', error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = {
+    PortfolioSnapshots,
+    summarizeHistory,
+    downsample,
+    PERIODS,
+    DEFAULT_SNAPSHOT_INTERVAL_MS
+};
@@ -0,0 +1,179 @@
+/**
+ * Local state persistence
+ *
+ * Small JSON files under a data directory so alerts, plans and similar
+ * state survive restarts of the MCP process, plus append-only JSON-lines
+ * files for time series such as portfolio snapshots.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Get the data directory (ASTER_DATA_DIR, default ./data next to the repo root)
+ * @returns {string} Absolute directory path
+ */
+function getDataDir() {
+    return path.resolve(process.env.ASTER_DATA_DIR || path.join(__dirname, '..', 'data'));
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} fileName - File name (e.g., "alerts.json")
+ * @param {*} fallback - Value returned if the file does not exist
+ * @returns {*} Parsed content or fallback
+ * @throws {Error} If the file exists but is not valid JSON
+ */
+function readJson(fileName, fallback) {
+    const filePath = path.join(getDataDir(), fileName);
+
+    if (!fs.existsSync(filePath)) {
+        return fallback;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Write a JSON file to the data directory
+ * Writes to a temp file and renames it, so a crash never leaves a half-written file.
+ * @param {string} fileName - File name (e.g., "alerts.json")
+ * @param {*} data - JSON-serializable data
+ */
+function writeJson(fileName, data) {
+    const dir = getDataDir();
+    const filePath = path.join(dir, fileName);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Move an unreadable file in the data directory aside as "<name>.corrupt-<ms>"
+ * Callers can then start empty without the next save overwriting the original.
+ * @param {string} fileName - File name (e.g., "alerts.json")
+ * @returns {string|null} New path, or null if the file does not exist
+ */
+function moveAsideCorrupt(fileName) {
+    const filePath = path.join(getDataDir(), fileName);
+
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+    fs.renameSync(filePath, corruptPath);
+    return corruptPath;
+}
+
+/**
+ * Read a JSON file from the data directory, setting an unreadable file aside
+ * An unreadable file is moved to "<name>.corrupt-<ms>" and the fallback returned,
+ * so managers start empty without the next save destroying the original.
+ * @param {string} fileName - File name (e.g., "alerts.json")
+ * @param {*} fallback - Value returned if the file does not exist or is unreadable
+ * @param {string} label - What the file holds, for log messages (e.g., "alerts")
+ * @returns {*} Parsed content or fallback
+ */
+function readJsonOrQuarantine(fileName, fallback, label) {
+    try {
+        return readJson(fileName, fallback);
+    } catch (error) {
+        console.error(`Failed to load ${label}, starting with none:`, error.message);
+
+        try {
+            console.error(`Moved unreadable ${label} to ${moveAsideCorrupt(fileName)}`);
+        } catch (moveError) {
+            console.error(`Failed to move unreadable ${label} aside:`, moveError.message);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Append one record to a JSON-lines file in the data directory
+ * @param {string} fileName - File name (e.g., "snapshots.jsonl")
+ * @param {*} record - JSON-serializable record
+ */
+function appendJsonLine(fileName, record) {
+    const dir = getDataDir();
+
+    const filePath = path.join(dir, fileName);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    // Start on a fresh line if a previous append was cut off mid-line
+    let prefix = '';
+    if (fs.existsSync(filePath)) {
+        const { size } = fs.statSync(filePath);
+        if (size > 0) {
+            const fd = fs.openSync(filePath, 'r');
+            const last = Buffer.alloc(1);
+            fs.readSync(fd, last, 0, 1, size - 1);
+            fs.closeSync(fd);
+            prefix = last.toString() === '\n' ? '' : '\n';
+        }
+    }
+
+    fs.appendFileSync(filePath, prefix + JSON.stringify(record) + '\n');
+}
+
+/**
+ * Read all records of a JSON-lines file in the data directory
+ * Unparseable lines (e.g., a partial line from a crash mid-append) are skipped.
+ * @param {string} fileName - File name (e.g., "snapshots.jsonl")
+ * @returns {Array<*>} Records in file order (empty if the file does not exist)
+ */
+function readJsonLines(fileName) {
+    const filePath = path.join(getDataDir(), fileName);
+
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const records = [];
+
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        try {
+            records.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`Skipping unreadable line in ${filePath}`);
+        }
+    }
+
+    return records;
+}
+
+/**
+ * Rewrite a JSON-lines file with the given records (atomic, like writeJson)
+ * @param {string} fileName - File name
+ * @param {Array<*>} records - Records to keep
+ */
+function writeJsonLines(fileName, records) {
+    const dir = getDataDir();
+    const filePath = path.join(dir, fileName);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(tmpPath, records.map(r => JSON.stringify(r) + '\n').join(''));
+    fs.renameSync(tmpPath, filePath);
+}
+
+module.exports = {
+    getDataDir,
+    readJson,
+    writeJson,
+    readJsonOrQuarantine,
+    appendJsonLine,
+    readJsonLines,
+    writeJsonLines
+};
@@ -0,0 +1,223 @@
+/**
+ * Trading symbol registry
+ *
+ * Caches the symbol list from /api/v1/exchangeInfo and resolves user input
+ * such as "BTC/USDT", "btc-usdt" or "BTCUSDT" to a listed symbol, with
+ * closest-match suggestions when a symbol is unknown.
+ */
+
+const { validateTradingSymbol } = require('./utils');
+
+// Refresh the symbol list every 5 minutes by default
+const DEFAULT_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = prev[0];
+        prev[0] = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const temp = prev[j];
+            prev[j] = Math.min(
+                prev[j] + 1,
+                prev[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = temp;
+        }
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Split user input into a compact symbol and optional base/quote parts
+ * @param {string} input - User input (e.g., "BTC/USDT", "btc-usdt", "BTCUSDT")
+ * @returns {Object} {symbol, base, quote} (base/quote are null without a separator)
+ */
+function parseSymbolInput(input) {
+    const upper = String(input).trim().toUpperCase();
+    const parts = upper.split(/[\/\-_\s:]+/).filter(Boolean);
+
+    if (parts.length === 2) {
+        return { symbol: parts.join(''), base: parts[0], quote: parts[1] };
+    }
+
+    return { symbol: parts.join(''), base: null, quote: null };
+}
+
+class SymbolRegistry {
+    /**
+     * @param {Function} fetchExchangeInfo - Async function returning an API response ({success, data, error}) for /api/v1/exchangeInfo
+     * @param {number} ttlMs - Cache lifetime in milliseconds
+     */
+    constructor(fetchExchangeInfo, ttlMs = DEFAULT_TTL_MS) {
+        this.fetchExchangeInfo = fetchExchangeInfo;
+        this.ttlMs = ttlMs;
+        this.exchangeData = null;
+        this.symbols = new Map();
+        this.loadedAt = 0;
+        this.pending = null;
+    }
+
+    /**
+     * Replace the cached exchange info (e.g., after a live exchangeInfo call)
+     * @param {Object} exchangeData - Raw exchangeInfo response data
+     */
+    update(exchangeData) {
+        this.exchangeData = exchangeData;
+        this.symbols = new Map((exchangeData.symbols || []).map(s => [s.symbol, s]));
+        this.loadedAt = Date.now();
+    }
+
+    /**
+     * Load exchange info, using the cache while it is fresh
+     * @param {boolean} force - Bypass the cache
+     * @returns {Promise<Object>} Raw exchangeInfo data
+     * @throws {Error} If exchange info cannot be fetched
+     */
+    async load(force = false) {
+        const fresh = this.exchangeData && Date.now() - this.loadedAt < this.ttlMs;
+        if (fresh && !force) {
+            return this.exchangeData;
+        }
+
+        // Share one in-flight request between concurrent callers
+        if (!this.pending) {
+            this.pending = (async () => {
+                try {
+                    const response = await this.fetchExchangeInfo();
+
+                    if (!response.success) {
+                        const message = typeof response.error === 'object'
+                            ? response.error.message || JSON.stringify(response.error)
+                            : response.error;
+                        throw new Error(`Failed to load exchange symbols: ${message}`);
+                    }
+
+                    this.update(response.data);
+                    return this.exchangeData;
+                } finally {
+                    this.pending = null;
+                }
+            })();
+        }
+
+        return this.pending;
+    }
+
+    /**
+     * Find a listed symbol for user input without throwing
+     * @param {string} input - User input (e.g., "BTC/USDT")
+     * @returns {Promise<Object|null>} Symbol info or null
+     */
+    async find(input) {
+        await this.load();
+
+        const { symbol, base, quote } = parseSymbolInput(input);
+
+        if (this.symbols.has(symbol)) {
+            return this.symbols.get(symbol);
+        }
+
+        if (base && quote) {
+            for (const info of this.symbols.values()) {
+                if (info.baseAsset === base && info.quoteAsset === quote) {
+                    return info;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Resolve user input to a listed symbol
+     * @param {string} input - User input (e.g., "BTC/USDT", "btc-usdt", "BTCUSDT")
+     * @returns {Promise<Object>} Symbol info from exchangeInfo (symbol, baseAsset, quoteAsset, filters, ...)
+     * @throws {Error} If the symbol is not listed, including closest matches
+     */
+    async resolve(input) {
+        validateTradingSymbol(input);
+
+        const info = await this.find(input);
+        if (info) {
+            return info;
+        }
+
+        const { symbol } = parseSymbolInput(input);
+        const suggestions = this.suggest(input, 5).map(s => s.symbol);
+        const hint = suggestions.length > 0 ? ` Did you mean: ${suggestions.join(', ')}?` : '';
+
+        throw new Error(`Symbol ${symbol} is not listed on the exchange.${hint}`);
+    }
+
+    /**
+     * Rank listed symbols by similarity to user input
+     * @param {string} input - User input
+     * @param {number} limit - Maximum number of results
+     * @param {string} quoteAsset - Optional: Only include pairs quoted in this asset
+     * @returns {Array<Object>} Symbol infos, best match first
+     */
+    suggest(input, limit = 10, quoteAsset = null) {
+        const { symbol, base, quote } = parseSymbolInput(input);
+        const quoteFilter = quoteAsset ? quoteAsset.toUpperCase() : null;
+
+        const scored = [];
+
+        for (const info of this.symbols.values()) {
+            if (quoteFilter && info.quoteAsset !== quoteFilter) {
+                continue;
+            }
+
+            let score;
+            if (info.symbol === symbol) {
+                score = 0;
+            } else if (base && info.baseAsset === base && (!quote || info.quoteAsset.startsWith(quote))) {
+                score = 1;
+            } else if (info.baseAsset === symbol || info.symbol.startsWith(symbol)) {
+                // Bare asset ("BTC") or prefix ("BTCU")
+                score = 2;
+            } else if (info.symbol.includes(symbol)) {
+                score = 3;
+            } else {
+                // Typos: compare against the full symbol and the bare base asset
+                score = 4 + Math.min(editDistance(symbol, info.symbol), editDistance(symbol, info.baseAsset));
+            }
+
+            scored.push({ info, score });
+        }
+
+        return scored
+            .filter(s => s.score < 4 + Math.max(3, Math.floor(symbol.length / 2)))
+            .sort((a, b) => a.score - b.score || a.info.symbol.localeCompare(b.info.symbol))
+            .slice(0, limit)
+            .map(s => s.info);
+    }
+
+    /**
+     * Search listed symbols
+     * @param {string} query - Symbol, pair or asset (e.g., "BTC", "eth/usdt")
+     * @param {number} limit - Maximum number of results
+     * @param {string} quoteAsset - Optional: Only include pairs quoted in this asset
+     * @returns {Promise<Array<Object>>} Matching symbol infos
+     */
+    async search(query, limit = 10, quoteAsset = null) {
+        await this.load();
+        return this.suggest(query, limit, quoteAsset);
+    }
+}
+
+module.exports = {
+    SymbolRegistry,
+    parseSymbolInput,
+    editDistance
+};
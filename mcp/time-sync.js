@@ -0,0 +1,157 @@
+/**
+ * Exchange server time synchronization
+ *
+ * Signed requests and withdrawal nonces are stamped with the local clock.
+ * A drifting container clock makes the exchange reject them (recvWindow),
+ * so the offset to the exchange server time is measured periodically and
+ * applied to every timestamp we send.
+ */
+
+// Re-sync every minute by default
+const DEFAULT_SYNC_INTERVAL_MS = 60 * 1000;
+
+// Offsets above this are logged as a warning
+const SKEW_WARNING_MS = 1000;
+
+// After a failed sync, don't retry on every request for this long
+const RETRY_AFTER_FAILURE_MS = 30 * 1000;
+
+class TimeSync {
+    /**
+     * @param {Function} fetchServerTime - Async function returning the exchange server time in ms
+     * @param {Object} options - Options
+     * @param {number} options.intervalMs - Re-sync interval in ms (0 disables periodic sync)
+     */
+    constructor(fetchServerTime, options = {}) {
+        this.fetchServerTime = fetchServerTime;
+        this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : DEFAULT_SYNC_INTERVAL_MS;
+        this.offsetMs = 0;
+        this.roundTripMs = null;
+        this.lastSyncAt = null;
+        this.lastError = null;
+        this.lastAttemptAt = 0;
+        this.timer = null;
+        this.pending = null;
+    }
+
+    /**
+     * Measure the offset between the exchange server clock and the local clock
+     * Uses the midpoint of the request round trip as the local reference time.
+     * @returns {Promise<number>} Offset in ms (server - local)
+     */
+    async sync() {
+        if (this.pending) {
+            return this.pending;
+        }
+
+        this.pending = (async () => {
+            try {
+                this.lastAttemptAt = Date.now();
+                const sentAt = Date.now();
+                const serverTime = await this.fetchServerTime();
+                const receivedAt = Date.now();
+
+                if (!Number.isFinite(Number(serverTime))) {
+                    throw new Error(`Invalid server time: ${serverTime}`);
+                }
+
+                this.roundTripMs = receivedAt - sentAt;
+                this.offsetMs = Math.round(Number(serverTime) - (sentAt + receivedAt) / 2);
+                this.lastSyncAt = new Date(receivedAt).toISOString();
+                this.lastError = null;
+
+                if (Math.abs(this.offsetMs) > SKEW_WARNING_MS) {
+                    console.error(`⚠️ Local clock is ${this.offsetMs}ms off exchange server time, correcting signed timestamps`);
+                }
+
+                return this.offsetMs;
+            } catch (error) {
+                // Keep the last known offset; a failed sync shouldn't block requests
+                this.lastError = error.message;
+                console.error('Server time sync failed:', error.message);
+                return this.offsetMs;
+            } finally {
+                this.pending = null;
+            }
+        })();
+
+        return this.pending;
+    }
+
+    /**
+     * Sync once if no successful sync happened yet
+     * @returns {Promise<number>} Offset in ms
+     */
+    async ensureSynced() {
+        if (this.lastSyncAt || Date.now() - this.lastAttemptAt < RETRY_AFTER_FAILURE_MS) {
+            return this.offsetMs;
+        }
+        return this.sync();
+    }
+
+    /**
+     * Start periodic re-sync (does not keep the process alive)
+     */
+    start() {
+        if (this.timer || !this.intervalMs) {
+            return;
+        }
+
+        this.sync();
+        this.timer = setInterval(() => this.sync(), this.intervalMs);
+        this.timer.unref();
+    }
+
+    /**
+     * Stop periodic re-sync
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Current time corrected to the exchange clock
+     * @returns {number} Epoch milliseconds
+     */
+    now() {
+        return Date.now() + this.offsetMs;
+    }
+
+    /**
+     * Get current offset
+     * @returns {number} Offset in ms (server - local)
+     */
+    getOffset() {
+        return this.offsetMs;
+    }
+
+    /**
+     * Status for health reporting
+     * @param {number} recvWindow - Receive window used for signed requests
+     * @returns {Object} Skew status
+     */
+    getStatus(recvWindow = null) {
+        const status = {
+            offsetMs: this.offsetMs,
+            roundTripMs: this.roundTripMs,
+            lastSyncAt: this.lastSyncAt,
+            syncIntervalMs: this.intervalMs,
+            lastError: this.lastError
+        };
+
+        if (recvWindow) {
+            // Uncorrected local timestamps would be rejected beyond this skew
+            status.localClockWithinRecvWindow = Math.abs(this.offsetMs) < recvWindow;
+        }
+
+        return status;
+    }
+}
+
+module.exports = {
+    TimeSync,
+    DEFAULT_SYNC_INTERVAL_MS
+};
@@ -4,23 +4,71 @@ const bip39 = require('bip39');
 const bs58 = require('bs58').default || require('bs58');
 const {
     handleError,
-    validateTradingSymbol,
+    formatApiError,
     validateAmount,
     validateNetwork,
+    parseTimestamp,
     formatBalance,
     getWalletPrivateKey,
     getNetworkPrivateKey,
     getNetworkRpcUrl,
     generateEIP712Signature,
+    generateClientOrderId,
     makeApiRequest
 } = require('./utils');
-const { getTokenConfig } = require('./tokens-config');
+const { getTokenConfig, getNetworkTokens } = require('./tokens-config');
 const {
     getDepositContract,
+    getDepositBroker,
+    getChainId,
+    getExplorerTxUrl,
     ERC20_ABI,
     DEPOSIT_CONTRACT_ABI
 } = require('./deposit-contracts');
 const { createSolDepositInstruction } = require('./solana-deposit-builder');
+const { adjustQuantity, adjustPrice, getMinNotional } = require('./exchange-filters');
+const { analyzeOrderBook, summarizeTrades } = require('./market-analysis');
+const indicators = require('./indicators');
+const { SymbolRegistry } = require('./symbol-registry');
+const { TimeSync, DEFAULT_SYNC_INTERVAL_MS } = require('./time-sync');
+const { MarketStream, DEFAULT_MAX_AGE_MS, DEPTH_LEVELS } = require('./market-stream');
+const { UserDataStream } = require('./user-stream');
+const { AlertManager, DEFAULT_CHECK_INTERVAL_MS } = require('./alerts');
+const { DcaScheduler } = require('./dca');
+const { GridManager } = require('./grid');
+const { buildRateGraph, findConversion, valueBalances } = require('./portfolio');
+const { normalizeFills, computeCostBasis, summarizeRealized, COST_METHODS } = require('./pnl');
+const { PortfolioSnapshots, summarizeHistory, downsample, DEFAULT_SNAPSHOT_INTERVAL_MS } = require('./snapshots');
+const { recordActivity, updateWithdrawalActivity, listActivity, ACTIVITY_TYPES } = require('./activity-log');
+const { tradeToRow, activityToRow, renderCsv, EXPORT_FORMATS } = require('./activity-export');
+const { WithdrawalTracker, DEFAULT_POLL_INTERVAL_MS } = require('./withdrawal-tracker');
+const FuturesAPI = require('./futures');
+
+// Withdrawals can take a few seconds to hit the spot balance
+const WITHDRAW_BALANCE_WAIT_MS = 5000;
+
+// Default and maximum wait of wait_for_withdrawal, in seconds
+const WITHDRAW_WAIT_DEFAULT_SECONDS = 120;
+const WITHDRAW_WAIT_MAX_SECONDS = 900;
+
+// Networks scanned by the wallet inventory
+const INVENTORY_NETWORKS = ['ethereum', 'arbitrum', 'bnb', 'solana'];
+
+// SPL Token and Token-2022 programs; token accounts of both are listed in the Solana inventory
+const SPL_TOKEN_PROGRAM_IDS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'
+];
+
+// Portfolio snapshots are valued in this asset
+const SNAPSHOT_QUOTE_ASSET = 'USDT';
+
+// Native token symbol per EVM network
+const EVM_NATIVE_SYMBOLS = {
+    ethereum: 'ETH',
+    arbitrum: 'ETH',
+    bnb: 'BNB'
+};
 
 /**
  * ToolsAPI - Main class for MCP tool implementations
@@ -35,14 +83,106 @@ class ToolsAPI {
         this.asterApiSecret = process.env.ASTER_API_SECRET || '';
         this.asterBaseUrl = process.env.ASTER_API_BASE_URL || 'https://sapi.asterdex.com';
         this.recvWindow = parseInt(process.env.ASTER_RECV_WINDOW || '5000');
+        this.timeSyncInterval = parseInt(process.env.ASTER_TIME_SYNC_INTERVAL || String(DEFAULT_SYNC_INTERVAL_MS));
+        this.asterWsBaseUrl = process.env.ASTER_WS_BASE_URL || 'wss://sstream.asterdex.com';
+        this.priceCacheTtl = parseInt(process.env.ASTER_PRICE_CACHE_TTL || String(DEFAULT_MAX_AGE_MS));
+        this.alertCheckInterval = parseInt(process.env.ASTER_ALERT_CHECK_INTERVAL || String(DEFAULT_CHECK_INTERVAL_MS));
+        this.snapshotInterval = parseInt(process.env.ASTER_SNAPSHOT_INTERVAL || String(DEFAULT_SNAPSHOT_INTERVAL_MS));
+        this.withdrawPollInterval = parseInt(process.env.ASTER_WITHDRAW_POLL_INTERVAL || String(DEFAULT_POLL_INTERVAL_MS));
+        this.userStreamEnabled = process.env.ASTER_USER_STREAM !== 'false' && !!this.asterApiKey && !!this.asterApiSecret;
 
         // Debug mode
         this.debugFull = process.env.DEBUG_FULL === 'true';
 
+        // Exchange server clock offset, applied to signed request timestamps and withdrawal nonces
+        this.timeSync = new TimeSync(async () => {
+            const response = await this._asterApiRequest('/api/v1/time', 'GET', {}, false);
+            if (!response.success) {
+                throw new Error(response.error.message || JSON.stringify(response.error));
+            }
+            return response.data.serverTime;
+        }, { intervalMs: this.timeSyncInterval });
+
+        // Futures tools share credentials and the clock offset with spot
+        this.futures = new FuturesAPI({
+            apiKey: this.asterApiKey,
+            apiSecret: this.asterApiSecret,
+            recvWindow: this.recvWindow,
+            timeSync: this.timeSync
+        });
+
+        // Listed symbols from exchangeInfo, cached for symbol resolution and order filters
+        this.symbolRegistry = new SymbolRegistry(
+            () => this._asterApiRequest('/api/v1/exchangeInfo', 'GET', {}, false)
+        );
+
+        // Live prices and books for symbols agents poll, subscribed on first request
+        this.marketStream = new MarketStream({
+            baseUrl: this.asterWsBaseUrl,
+            maxAgeMs: this.priceCacheTtl
+        });
+
+        // Order states and balances pushed by the exchange, used to report actual fills and balance deltas
+        this.userStream = new UserDataStream({
+            request: (endpoint, method, params, signed) => this._asterApiRequest(endpoint, method, params, signed),
+            wsBaseUrl: this.asterWsBaseUrl
+        });
+
+        // Persisted price alerts, evaluated in the background against the price feed
+        this.alerts = new AlertManager({
+            getQuote: symbol => this._getQuote(symbol),
+            intervalMs: this.alertCheckInterval
+        });
+
+        // Persisted recurring buy plans
+        this.dca = new DcaScheduler({
+            executeBuy: (symbol, quoteAmount) => this.marketBuy(symbol, quoteAmount),
+            getPrice: async symbol => (await this._getQuote(symbol)).price
+        });
+
+        // Persisted grid strategies, re-synced with their orders in the background
+        this.grids = new GridManager({
+            getPrice: async symbol => (await this._getQuote(symbol)).price,
+            limitOrder: (symbol, side, price, quantity) => this.limitOrder(symbol, side, price, quantity),
+            marketBuy: (symbol, quantity) => this.marketBuy(symbol, null, quantity),
+            getOpenOrders: symbol => this.getOpenOrders(symbol),
+            getOrder: (symbol, orderId) => this.getOrder(symbol, orderId),
+            cancelOrder: (symbol, orderId) => this.cancelOrder(symbol, orderId)
+        });
+
+        // Periodic valued snapshots of exchange + wallet balances for performance history
+        this.snapshots = new PortfolioSnapshots(
+            () => this._takePortfolioSnapshot(),
+            { intervalMs: this.snapshotInterval }
+        );
+
+        // Withdrawals followed on the destination chain until confirmed
+        this.withdrawals = new WithdrawalTracker({
+            getTransactionStatus: (network, txHash) => this._getEvmTransactionStatus(network, txHash)
+        }, { pollIntervalMs: this.withdrawPollInterval });
+
+        // Write the final status of withdrawals back to the activity log for export_activity
+        this.withdrawals.on('update', ({ withdrawal }) => {
+            if (withdrawal.status !== 'tracking') {
+                updateWithdrawalActivity(withdrawal.id, { status: withdrawal.status });
+            }
+        });
+
+        // Fills pushed by the user data stream trigger an immediate grid sync
+        this.userStream.on('order', event => this.grids.handleOrderEvent(event));
+
         console.error('Aster MCP Server - ToolsAPI initialized');
         console.error(`API Base URL: ${this.asterBaseUrl}`);
         console.error(`API Key configured: ${this.asterApiKey ? 'Yes' : 'No'}`);
         console.error(`Debug Full: ${this.debugFull ? 'Enabled' : 'Disabled'}`);
+        console.error(`Server time sync: ${this.timeSyncInterval ? `every ${this.timeSyncInterval}ms` : 'Disabled'}`);
+        console.error(`Market stream cache: ${this.priceCacheTtl ? `${this.asterWsBaseUrl} (max age ${this.priceCacheTtl}ms)` : 'Disabled'}`);
+        console.error(`User data stream: ${this.userStreamEnabled ? 'Enabled' : 'Disabled'}`);
+        console.error(`DCA plans: ${this.dca.list('active').length} active`);
+        console.error(`Grid strategies: ${this.grids.list('running').length} running`);
+        console.error(`Portfolio snapshots: ${this.snapshotInterval ? `every ${this.snapshotInterval}ms` : 'Disabled'}`);
+        console.error(`Withdrawal tracking: ${this.withdrawals.list('tracking').length} pending, ${this.withdrawPollInterval ? `polled every ${this.withdrawPollInterval}ms` : 'background polling disabled'}`);
+        console.error(`Price alerts: ${this.alerts.list('active').length} active, ${this.alertCheckInterval ? `checked every ${this.alertCheckInterval}ms` : 'background checks disabled'}`);
 
         // Show wallet configuration status per chain
         console.error('Wallet Configuration:');
@@ -67,6 +207,11 @@ class ToolsAPI {
      * @private
      */
     async _asterApiRequest(endpoint, method = 'GET', params = {}, signed = false) {
+        // Signed requests are stamped with exchange server time
+        if (signed) {
+            await this.timeSync.ensureSynced();
+        }
+
         return makeApiRequest({
             baseUrl: this.asterBaseUrl,
             endpoint,
@@ -75,7 +220,8 @@ class ToolsAPI {
             signed,
             apiKey: this.asterApiKey,
             apiSecret: this.asterApiSecret,
-            recvWindow: this.recvWindow
+            recvWindow: this.recvWindow,
+            timeOffset: this.timeSync.getOffset()
         });
     }
 
@@ -194,51 +340,237 @@ class ToolsAPI {
         }
     }
 
+    /**
+     * Value all non-zero exchange balances in a quote asset
+     * Assets without a direct pair are priced through intermediate pairs (e.g., XYZ -> BNB -> USDT).
+     * @param {string} quoteAsset - Asset to value in (default "USDT")
+     * @returns {Object} Total value, per-asset price/value/weight and assets that could not be priced
+     */
+    async getPortfolioValue(quoteAsset = 'USDT') {
+        try {
+            const quote = (quoteAsset || 'USDT').toUpperCase();
+
+            const balanceResult = await this.getAccountBalance();
+            if (!balanceResult.success) {
+                return balanceResult;
+            }
+
+            const balances = balanceResult.balances.filter(b => parseFloat(b.total) > 0);
+            const graph = await this._getRateGraph();
+
+            if (!graph.has(quote)) {
+                throw new Error(`${quote} is not traded in any listed pair and cannot be used as the quote asset`);
+            }
+
+            const { totalValue, assets, unpriced } = valueBalances(balances, quote, graph);
+
+            return {
+                success: true,
+                quoteAsset: quote,
+                totalValue,
+                assetCount: assets.length,
+                assets,
+                unpriced,
+                ...(unpriced.length > 0 && {
+                    warning: `${unpriced.length} asset(s) could not be priced in ${quote} and are excluded from the total`
+                }),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Build the asset conversion graph from listed pairs and their last prices
+     * @returns {Promise<Map>} Graph for portfolio valuation (see portfolio.js)
+     * @throws {Error} If symbols or prices cannot be fetched
+     * @private
+     */
+    async _getRateGraph() {
+        const [exchangeData, priceResponse] = await Promise.all([
+            this.symbolRegistry.load(),
+            this._asterApiRequest('/api/v1/ticker/price', 'GET', {}, false)
+        ]);
+
+        if (!priceResponse.success) {
+            throw new Error(`Failed to get prices: ${priceResponse.error.message || JSON.stringify(priceResponse.error)}`);
+        }
+
+        const prices = new Map(priceResponse.data.map(t => [t.symbol, t.price]));
+
+        return buildRateGraph(exchangeData.symbols || [], prices);
+    }
+
     /**
      * Execute market buy order on Aster Exchange
+     * Either quoteAmount (spend) or quantity (receive, in base asset) must be provided.
      * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
      * @param {string} quoteAmount - Amount of quote asset to spend (e.g., "100" USDT)
+     * @param {string} quantity - Optional: Amount of base asset to buy instead of quoteAmount
      * @returns {Object} Order result
      */
-    async marketBuy(symbol, quoteAmount) {
+    async marketBuy(symbol, quoteAmount = null, quantity = null) {
         try {
             // Validate parameters
-            validateTradingSymbol(symbol);
-            validateAmount(quoteAmount, 'quoteAmount');
+            if ((quoteAmount && quantity) || (!quoteAmount && !quantity)) {
+                throw new Error('Provide either quoteAmount or quantity (but not both)');
+            }
+
+            const symbolInfo = await this._getSymbolInfo(symbol);
 
             // Prepare order parameters
             const orderParams = {
-                symbol: symbol.toUpperCase(),
+                symbol: symbolInfo.symbol,
                 side: 'BUY',
                 type: 'MARKET',
-                quoteOrderQty: quoteAmount
+                newClientOrderId: generateClientOrderId()
             };
 
+            if (quantity) {
+                validateAmount(quantity, 'quantity');
+
+                // Round to LOT_SIZE and check MIN_NOTIONAL against the last price
+                const priceResult = await this.getPrice(symbolInfo.symbol);
+                if (!priceResult.success) {
+                    return {
+                        success: false,
+                        error: `Failed to get price for ${symbolInfo.symbol}: ${formatApiError(priceResult.error)}`
+                    };
+                }
+
+                orderParams.quantity = adjustQuantity(symbolInfo, quantity, {
+                    orderType: 'MARKET',
+                    price: priceResult.price
+                });
+            } else {
+                validateAmount(quoteAmount, 'quoteAmount');
+
+                const minNotional = getMinNotional(symbolInfo);
+                if (minNotional > 0 && parseFloat(quoteAmount) < minNotional) {
+                    throw new Error(
+                        `quoteAmount ${quoteAmount} is below the minimum notional of ${minNotional} for ${symbolInfo.symbol}`
+                    );
+                }
+
+                orderParams.quoteOrderQty = quoteAmount;
+            }
+
+            // Start listening before sending; fill events can beat the REST response
+            const tracker = this.userStream.track({
+                clientOrderId: orderParams.newClientOrderId,
+                assets: [symbolInfo.baseAsset, symbolInfo.quoteAsset]
+            });
+
             // Execute market buy order
             const response = await this._asterApiRequest('/api/v1/order', 'POST', orderParams, true);
 
             if (!response.success) {
+                tracker.cancel();
                 return {
                     success: false,
                     error: response.error
                 };
             }
 
-            const orderData = response.data;
+            return {
+                success: true,
+                order: this._formatOrder(response.data),
+                execution: await tracker.result(),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Execute market sell order on Aster Exchange
+     * Quantity is rounded down to the symbol's LOT_SIZE step before sending.
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string} quantity - Amount of base asset to sell, or "all" for the entire free balance
+     * @returns {Object} Order result
+     */
+    async marketSell(symbol, quantity) {
+        try {
+            // Validate parameters
+            if (!quantity) {
+                throw new Error('quantity is required (base asset amount or "all")');
+            }
+
+            const symbolInfo = await this._getSymbolInfo(symbol);
+            const sellAll = String(quantity).toLowerCase() === 'all';
+
+            let requestedQty = quantity;
+
+            if (sellAll) {
+                // Sell the entire free balance of the base asset
+                const balanceResult = await this.getAccountBalance();
+                if (!balanceResult.success) {
+                    return {
+                        success: false,
+                        error: `Failed to get account balance: ${formatApiError(balanceResult.error)}`
+                    };
+                }
+
+                const baseBalance = balanceResult.balances.find(b => b.asset === symbolInfo.baseAsset);
+                requestedQty = baseBalance ? baseBalance.free : '0';
+
+                if (!(parseFloat(requestedQty) > 0)) {
+                    return {
+                        success: false,
+                        error: `No free ${symbolInfo.baseAsset} balance to sell`
+                    };
+                }
+            } else {
+                validateAmount(quantity, 'quantity');
+            }
+
+            // Round to LOT_SIZE and check MIN_NOTIONAL against the last price
+            const priceResult = await this.getPrice(symbolInfo.symbol);
+            if (!priceResult.success) {
+                return {
+                    success: false,
+                    error: `Failed to get price for ${symbolInfo.symbol}: ${formatApiError(priceResult.error)}`
+                };
+            }
+
+            const orderQty = adjustQuantity(symbolInfo, requestedQty, {
+                orderType: 'MARKET',
+                price: priceResult.price
+            });
+
+            const orderParams = {
+                symbol: symbolInfo.symbol,
+                side: 'SELL',
+                type: 'MARKET',
+                quantity: orderQty,
+                newClientOrderId: generateClientOrderId()
+            };
+
+            const tracker = this.userStream.track({
+                clientOrderId: orderParams.newClientOrderId,
+                assets: [symbolInfo.baseAsset, symbolInfo.quoteAsset]
+            });
+
+            // Execute market sell order
+            const response = await this._asterApiRequest('/api/v1/order', 'POST', orderParams, true);
+
+            if (!response.success) {
+                tracker.cancel();
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
 
             return {
                 success: true,
-                order: {
-                    orderId: orderData.orderId,
-                    symbol: orderData.symbol,
-                    side: orderData.side,
-                    type: orderData.type,
-                    status: orderData.status,
-                    executedQty: orderData.executedQty,      // Amount of base asset bought
-                    avgPrice: orderData.avgPrice,            // Average execution price
-                    cumQuote: orderData.cumQuote,            // Total quote asset spent
-                    updateTime: orderData.updateTime
-                },
+                requestedQuantity: String(requestedQty),
+                order: this._formatOrder(response.data),
+                execution: await tracker.result(),
                 timestamp: new Date().toISOString()
             };
 
@@ -248,18 +580,223 @@ class ToolsAPI {
     }
 
     /**
-     * Get latest price for a trading pair
+     * Place a limit order on Aster Exchange
+     * Price and quantity are validated against PRICE_FILTER, LOT_SIZE, MIN_NOTIONAL and PERCENT_PRICE before signing.
      * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
-     * @returns {Object} Price information
+     * @param {string} side - Order side: BUY or SELL
+     * @param {string} price - Limit price in quote asset
+     * @param {string} quantity - Amount of base asset
+     * @param {string} timeInForce - GTC (default), IOC or FOK
+     * @param {boolean} postOnly - Reject the order instead of taking liquidity (maker-only)
+     * @returns {Object} Order result
      */
-    async getPrice(symbol) {
+    async limitOrder(symbol, side, price, quantity, timeInForce = 'GTC', postOnly = false) {
         try {
-            // Validate symbol
-            validateTradingSymbol(symbol);
+            // Validate parameters
+            validateAmount(price, 'price');
+            validateAmount(quantity, 'quantity');
 
-            const response = await this._asterApiRequest('/api/v1/ticker/price', 'GET', {
-                symbol: symbol.toUpperCase()
-            }, false);
+            const sideUpper = side ? side.toUpperCase() : '';
+            if (!['BUY', 'SELL'].includes(sideUpper)) {
+                throw new Error('Invalid side. Must be one of: BUY, SELL');
+            }
+
+            const tifUpper = (timeInForce || 'GTC').toUpperCase();
+            if (!['GTC', 'IOC', 'FOK'].includes(tifUpper)) {
+                throw new Error('Invalid timeInForce. Must be one of: GTC, IOC, FOK');
+            }
+
+            if (postOnly && tifUpper !== 'GTC') {
+                throw new Error(`postOnly orders rest on the book and cannot be combined with ${tifUpper}`);
+            }
+
+            const symbolInfo = await this._getSymbolInfo(symbol);
+
+            // Market price is the reference for PERCENT_PRICE
+            const priceResult = await this.getPrice(symbolInfo.symbol);
+            if (!priceResult.success) {
+                return {
+                    success: false,
+                    error: `Failed to get price for ${symbolInfo.symbol}: ${formatApiError(priceResult.error)}`
+                };
+            }
+
+            const orderPrice = adjustPrice(symbolInfo, price, {
+                side: sideUpper,
+                referencePrice: priceResult.price
+            });
+            const orderQty = adjustQuantity(symbolInfo, quantity, {
+                orderType: 'LIMIT',
+                price: orderPrice
+            });
+
+            const orderParams = {
+                symbol: symbolInfo.symbol,
+                side: sideUpper,
+                type: 'LIMIT',
+                // GTX = Good Till Crossing (post-only)
+                timeInForce: postOnly ? 'GTX' : tifUpper,
+                price: orderPrice,
+                quantity: orderQty,
+                newClientOrderId: generateClientOrderId()
+            };
+
+            // Start listening before sending; an order that crosses the book can fill before the REST response
+            const tracker = this.userStream.track({
+                clientOrderId: orderParams.newClientOrderId,
+                assets: [symbolInfo.baseAsset, symbolInfo.quoteAsset]
+            });
+
+            // Place limit order
+            const response = await this._asterApiRequest('/api/v1/order', 'POST', orderParams, true);
+
+            if (!response.success) {
+                tracker.cancel();
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const order = this._formatOrder(response.data);
+
+            // An order resting untouched on the book has nothing to report; don't hold the response for it
+            let execution = null;
+            if (order.status === 'NEW') {
+                tracker.cancel();
+            } else {
+                execution = await tracker.result();
+            }
+
+            return {
+                success: true,
+                postOnly: !!postOnly,
+                order,
+                execution,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get exchangeInfo entry for a single symbol (served from the symbol registry cache)
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT", "BTC/USDT")
+     * @returns {Promise<Object>} Symbol info with filters, baseAsset and quoteAsset
+     * @throws {Error} If exchange info cannot be fetched or symbol is unknown
+     * @private
+     */
+    async _getSymbolInfo(symbol) {
+        return this.symbolRegistry.resolve(symbol);
+    }
+
+    /**
+     * Resolve user input (e.g., "BTC/USDT", "btc-usdt") to a listed exchange symbol
+     * @param {string} symbol - Trading pair in any supported notation
+     * @returns {Promise<string>} Exchange symbol (e.g., "BTCUSDT")
+     * @throws {Error} If the symbol is not listed, with closest matches
+     * @private
+     */
+    async _resolveSymbol(symbol) {
+        const info = await this.symbolRegistry.resolve(symbol);
+        return info.symbol;
+    }
+
+    /**
+     * Normalize order data returned by the order endpoints
+     * @param {Object} orderData - Raw order response
+     * @returns {Object} Formatted order
+     * @private
+     */
+    _formatOrder(orderData) {
+        return {
+            orderId: orderData.orderId,
+            clientOrderId: orderData.clientOrderId,
+            symbol: orderData.symbol,
+            side: orderData.side,
+            type: orderData.type,
+            status: orderData.status,
+            timeInForce: orderData.timeInForce,
+            price: orderData.price,                  // Limit price (0 for market orders)
+            origQty: orderData.origQty,              // Requested base asset quantity
+            executedQty: orderData.executedQty,      // Amount of base asset bought/sold
+            avgPrice: orderData.avgPrice,            // Average execution price
+            cumQuote: orderData.cumQuote,            // Total quote asset spent/received
+            time: orderData.time,
+            updateTime: orderData.updateTime
+        };
+    }
+
+    /**
+     * Build order lookup params from an orderId or client order id
+     * @param {string|number} orderId - Exchange order id
+     * @param {string} clientOrderId - Client order id returned by the order tools
+     * @returns {Object} Params with orderId or origClientOrderId
+     * @throws {Error} If neither id is provided
+     * @private
+     */
+    _orderIdParams(orderId, clientOrderId) {
+        if (orderId !== null && orderId !== undefined && orderId !== '') {
+            return { orderId: String(orderId) };
+        }
+
+        if (clientOrderId) {
+            return { origClientOrderId: clientOrderId };
+        }
+
+        throw new Error('Either orderId or clientOrderId is required');
+    }
+
+    /**
+     * Query a single order by orderId or client order id
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string|number} orderId - Optional: Exchange order id
+     * @param {string} clientOrderId - Optional: Client order id
+     * @returns {Object} Order details
+     */
+    async getOrder(symbol, orderId = null, clientOrderId = null) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const response = await this._asterApiRequest('/api/v1/order', 'GET', {
+                symbol: tradingSymbol,
+                ...this._orderIdParams(orderId, clientOrderId)
+            }, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                order: this._formatOrder(response.data),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * List open orders, for one symbol or all symbols
+     * @param {string} symbol - Optional trading pair (e.g., "BTCUSDT")
+     * @returns {Object} Open orders
+     */
+    async getOpenOrders(symbol = null) {
+        try {
+            const params = {};
+
+            if (symbol) {
+                params.symbol = await this._resolveSymbol(symbol);
+            }
+
+            const response = await this._asterApiRequest('/api/v1/openOrders', 'GET', params, true);
 
             if (!response.success) {
                 return {
@@ -268,11 +805,1521 @@ class ToolsAPI {
                 };
             }
 
+            const orders = (response.data || []).map(order => this._formatOrder(order));
+
+            return {
+                success: true,
+                symbol: params.symbol || 'ALL',
+                count: orders.length,
+                orders,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Cancel an open order by orderId or client order id
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string|number} orderId - Optional: Exchange order id
+     * @param {string} clientOrderId - Optional: Client order id
+     * @returns {Object} Cancelled order
+     */
+    async cancelOrder(symbol, orderId = null, clientOrderId = null) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const response = await this._asterApiRequest('/api/v1/order', 'DELETE', {
+                symbol: tradingSymbol,
+                ...this._orderIdParams(orderId, clientOrderId)
+            }, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                order: this._formatOrder(response.data),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Cancel all open orders for a symbol
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @returns {Object} Cancellation result
+     */
+    async cancelAllOrders(symbol) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const response = await this._asterApiRequest('/api/v1/allOpenOrders', 'DELETE', {
+                symbol: tradingSymbol
+            }, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            // Endpoint returns either the cancelled orders or a {code, msg} acknowledgement
+            const cancelled = Array.isArray(response.data)
+                ? response.data.map(order => this._formatOrder(order))
+                : [];
+
+            return {
+                success: true,
+                symbol: tradingSymbol,
+                cancelledCount: cancelled.length,
+                cancelled,
+                message: Array.isArray(response.data) ? undefined : response.data?.msg,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get account trade history (fills) for a symbol, paging through results
+     * The first page is selected by time range (or fromId); later pages continue from the last trade id.
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {Object} options - Query options
+     * @param {string|number} options.startTime - Optional: Start time (ms or date string)
+     * @param {string|number} options.endTime - Optional: End time (ms or date string)
+     * @param {string|number} options.fromId - Optional: Trade id to start from (inclusive)
+     * @param {number} options.limit - Trades per page (max 1000, default 500)
+     * @param {number} options.maxPages - Maximum pages to fetch (default 5)
+     * @returns {Object} Normalized fills with commission totals
+     */
+    async getMyTrades(symbol, options = {}) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const { fromId = null, limit = 500, maxPages = 5 } = options;
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+            const pageLimit = Math.min(Math.max(parseInt(limit) || 500, 1), 1000);
+
+            const params = { symbol: tradingSymbol, limit: pageLimit };
+
+            if (fromId !== null && fromId !== undefined && fromId !== '') {
+                params.fromId = String(fromId);
+            } else {
+                if (startTime) params.startTime = startTime;
+                if (endTime) params.endTime = endTime;
+            }
+
+            const page = await this._fetchPages('/api/v1/userTrades', params, {
+                cursorParam: 'fromId',
+                idField: 'id',
+                maxPages,
+                endTime
+            });
+
+            if (!page.success) {
+                return {
+                    success: false,
+                    error: page.error
+                };
+            }
+
+            // Once paging switches to fromId the exchange ignores the time range, so trim here
+            const trades = page.items
+                .filter(t => !endTime || t.time <= endTime)
+                .map(t => this._formatTrade(t));
+
+            // Commission totals per asset for reconciliation
+            const commissions = {};
+            trades.forEach(t => {
+                if (!t.commissionAsset) return;
+                commissions[t.commissionAsset] = (commissions[t.commissionAsset] || 0) + parseFloat(t.commission || 0);
+            });
+
+            return {
+                success: true,
+                symbol: tradingSymbol,
+                count: trades.length,
+                trades,
+                commissions,
+                hasMore: page.hasMore,
+                nextFromId: page.hasMore && trades.length > 0 ? String(Number(trades[trades.length - 1].id) + 1) : null,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get all orders (open, filled, cancelled) for a symbol, paging through results
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {Object} options - Query options
+     * @param {string|number} options.startTime - Optional: Start time (ms or date string)
+     * @param {string|number} options.endTime - Optional: End time (ms or date string)
+     * @param {string|number} options.fromId - Optional: Order id to start from (inclusive)
+     * @param {number} options.limit - Orders per page (max 1000, default 500)
+     * @param {number} options.maxPages - Maximum pages to fetch (default 5)
+     * @returns {Object} Normalized orders
+     */
+    async getAllOrders(symbol, options = {}) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const { fromId = null, limit = 500, maxPages = 5 } = options;
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+            const pageLimit = Math.min(Math.max(parseInt(limit) || 500, 1), 1000);
+
+            const params = { symbol: tradingSymbol, limit: pageLimit };
+
+            if (fromId !== null && fromId !== undefined && fromId !== '') {
+                params.orderId = String(fromId);
+            } else {
+                if (startTime) params.startTime = startTime;
+                if (endTime) params.endTime = endTime;
+            }
+
+            const page = await this._fetchPages('/api/v1/allOrders', params, {
+                cursorParam: 'orderId',
+                idField: 'orderId',
+                maxPages,
+                endTime
+            });
+
+            if (!page.success) {
+                return {
+                    success: false,
+                    error: page.error
+                };
+            }
+
+            const orders = page.items
+                .filter(o => !endTime || o.time <= endTime)
+                .map(o => this._formatOrder(o));
+
+            return {
+                success: true,
+                symbol: tradingSymbol,
+                count: orders.length,
+                orders,
+                hasMore: page.hasMore,
+                nextFromId: page.hasMore && orders.length > 0 ? String(Number(orders[orders.length - 1].orderId) + 1) : null,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Compute cost basis, realized and unrealized PnL from spot fills
+     * Replays the full trade history of every pair where the asset is the base (fees included),
+     * so lots bought before startTime still count; the time range selects which sells are reported.
+     * Fills where the asset is the quote (e.g., USDT received by selling BTCUSDT) are not counted.
+     * @param {string} asset - Optional: Base asset (e.g., "BTC"); default: all assets with a non-zero balance
+     * @param {Object} options - Options
+     * @param {string|number} options.startTime - Optional: Report realized PnL from this time
+     * @param {string|number} options.endTime - Optional: Ignore fills after this time
+     * @param {string} options.method - fifo (default) or average
+     * @param {string} options.quoteAsset - Valuation asset (default "USDT")
+     * @param {number} options.maxPages - Trade pages (1000 fills each) fetched per pair (default 10)
+     * @param {boolean} options.includeLots - Include open lots and realized entries
+     * @returns {Object} Per-asset position, cost basis, realized and unrealized PnL, plus totals
+     */
+    async getPnl(asset = null, options = {}) {
+        try {
+            const method = (options.method || 'fifo').toLowerCase();
+            const quote = (options.quoteAsset || 'USDT').toUpperCase();
+            const maxPages = Math.min(Math.max(parseInt(options.maxPages) || 10, 1), 50);
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+
+            if (!COST_METHODS.includes(method)) {
+                throw new Error(`Invalid method. Must be one of: ${COST_METHODS.join(', ')}`);
+            }
+
+            const [exchangeData, graph, balanceResult] = await Promise.all([
+                this.symbolRegistry.load(),
+                this._getRateGraph(),
+                this.getAccountBalance()
+            ]);
+
+            if (!balanceResult.success) {
+                return balanceResult;
+            }
+
+            const balances = new Map(balanceResult.balances.map(b => [b.asset, parseFloat(b.total)]));
+            const assets = asset
+                ? [asset.toUpperCase()]
+                : [...balances.keys()].filter(a => balances.get(a) > 0 && a !== quote);
+
+            // Conversion rates are current prices; fills quoted in other assets are converted at today's rate
+            const rateOf = a => {
+                const conversion = findConversion(graph, a, quote);
+                return conversion ? conversion.rate : null;
+            };
+
+            const results = [];
+            const warnings = [];
+
+            if (!asset) {
+                warnings.push('Covers assets with a non-zero balance; pass asset to include positions fully sold in the range');
+            }
+
+            for (const base of assets) {
+                const pairs = (exchangeData.symbols || []).filter(s => s.baseAsset === base);
+
+                if (pairs.length === 0) {
+                    warnings.push(`${base}: no listed pairs with ${base} as the base asset`);
+                    continue;
+                }
+
+                const quotedPairs = (exchangeData.symbols || []).filter(s => s.quoteAsset === base);
+                if (quotedPairs.length > 0) {
+                    warnings.push(`${base}: fills on pairs quoted in ${base} (e.g., ${quotedPairs[0].symbol}) are not counted; amounts acquired or spent there show up in untrackedQty`);
+                }
+
+                let fills = [];
+                let truncated = false;
+                const convertedQuotes = new Set();
+
+                for (const pair of pairs) {
+                    // Page from the first trade so early lots are included
+                    const history = await this.getMyTrades(pair.symbol, { fromId: 0, limit: 1000, maxPages, endTime });
+
+                    if (!history.success) {
+                        warnings.push(`${pair.symbol}: ${JSON.stringify(history.error)}`);
+                        continue;
+                    }
+                    if (history.trades.length === 0) {
+                        continue;
+                    }
+
+                    truncated = truncated || history.hasMore;
+
+                    try {
+                        fills = fills.concat(normalizeFills(history.trades, pair, rateOf));
+                        if (pair.quoteAsset !== quote) {
+                            convertedQuotes.add(pair.quoteAsset);
+                        }
+                    } catch (error) {
+                        warnings.push(`${pair.symbol}: ${error.message}`);
+                    }
+                }
+
+                const basis = computeCostBasis(fills, method);
+                const realized = summarizeRealized(basis.realized, startTime, endTime);
+                const price = rateOf(base);
+                const marketValue = price !== null ? basis.position.qty * price : null;
+                const unrealizedPnl = marketValue !== null ? marketValue - basis.position.costBasis : null;
+                const balance = balances.get(base) || 0;
+
+                if (truncated) {
+                    warnings.push(`${base}: more than ${maxPages} pages of fills on a pair; later fills are missing (raise maxPages)`);
+                }
+                if (convertedQuotes.size > 0) {
+                    warnings.push(`${base}: fills quoted in ${[...convertedQuotes].join(', ')} are converted to ${quote} at today's rate, not the rate on the fill date`);
+                }
+                if (realized.unmatchedQty > 0) {
+                    warnings.push(`${base}: ${realized.unmatchedQty} sold without matching buys (e.g., deposited coins); excluded from realized PnL`);
+                }
+
+                results.push({
+                    asset: base,
+                    fills: fills.length,
+                    pairs: [...new Set(fills.map(f => f.symbol))],
+                    position: {
+                        ...basis.position,
+                        currentPrice: price,
+                        marketValue,
+                        unrealizedPnl,
+                        unrealizedPnlPercent: unrealizedPnl !== null && basis.position.costBasis > 0
+                            ? unrealizedPnl / basis.position.costBasis * 100
+                            : null
+                    },
+                    // Balance not explained by fills (deposits, withdrawals, transfers)
+                    exchangeBalance: balance,
+                    untrackedQty: balance - basis.position.qty,
+                    realized: {
+                        pnl: realized.pnl,
+                        proceeds: realized.proceeds,
+                        costBasis: realized.costBasis,
+                        closedQty: realized.closedQty,
+                        closedLots: realized.count,
+                        unmatchedQty: realized.unmatchedQty
+                    },
+                    feesPaid: fills
+                        .filter(f => (!startTime || f.time >= startTime) && (!endTime || f.time <= endTime))
+                        .reduce((sum, f) => sum + f.fee, 0),
+                    ...(options.includeLots && {
+                        openLots: basis.openLots,
+                        realizedLots: realized.entries
+                    })
+                });
+            }
+
+            const sum = field => results.reduce((total, r) => total + (field(r) || 0), 0);
+
+            return {
+                success: true,
+                method,
+                quoteAsset: quote,
+                range: {
+                    startTime: startTime ? new Date(startTime).toISOString() : null,
+                    endTime: endTime ? new Date(endTime).toISOString() : null
+                },
+                totals: {
+                    realizedPnl: sum(r => r.realized.pnl),
+                    unrealizedPnl: sum(r => r.position.unrealizedPnl),
+                    costBasis: sum(r => r.position.costBasis),
+                    marketValue: sum(r => r.position.marketValue),
+                    feesPaid: sum(r => r.feesPaid)
+                },
+                assets: results,
+                ...(warnings.length > 0 && { warnings }),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Export trades, deposits and withdrawals as CSV for accounting
+     * Trades come from the exchange fill history; deposits and withdrawals from the local
+     * activity log, which records every transfer made through these tools with its tx hash.
+     * @param {string} format - ledger (default), koinly or cointracker
+     * @param {Object} options - Options
+     * @param {Array<string>} options.types - Optional: trade, deposit and/or withdrawal (default: all)
+     * @param {Array<string>} options.symbols - Optional: Pairs to export trades for; default: pairs whose base asset has a non-zero balance
+     * @param {string|number} options.startTime - Optional: Start time (ms or date string)
+     * @param {string|number} options.endTime - Optional: End time (ms or date string)
+     * @param {number} options.maxPages - Trade pages (1000 fills each) fetched per pair (default 10)
+     * @returns {Object} {format, fileName, rowCount, counts, csv}
+     */
+    async exportActivity(format = 'ledger', options = {}) {
+        try {
+            const exportFormat = (format || 'ledger').toLowerCase();
+            const types = options.types && options.types.length > 0
+                ? options.types.map(t => t.toLowerCase())
+                : ['trade', ...ACTIVITY_TYPES];
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+            const maxPages = Math.min(Math.max(parseInt(options.maxPages) || 10, 1), 50);
+
+            if (!EXPORT_FORMATS.includes(exportFormat)) {
+                throw new Error(`Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}`);
+            }
+
+            const invalidTypes = types.filter(t => t !== 'trade' && !ACTIVITY_TYPES.includes(t));
+            if (invalidTypes.length > 0) {
+                throw new Error(`Invalid types: ${invalidTypes.join(', ')}. Must be trade, ${ACTIVITY_TYPES.join(', ')}`);
+            }
+
+            const rows = [];
+            const warnings = [];
+
+            if (types.includes('trade')) {
+                const exchangeData = await this.symbolRegistry.load();
+                const symbolInfo = new Map((exchangeData.symbols || []).map(s => [s.symbol, s]));
+                let symbols;
+
+                if (options.symbols && options.symbols.length > 0) {
+                    symbols = options.symbols.map(s => s.toUpperCase());
+                } else {
+                    const balanceResult = await this.getAccountBalance();
+                    if (!balanceResult.success) {
+                        return balanceResult;
+                    }
+
+                    const held = new Set(balanceResult.balances
+                        .filter(b => parseFloat(b.total) > 0)
+                        .map(b => b.asset));
+                    symbols = [...symbolInfo.values()]
+                        .filter(s => held.has(s.baseAsset))
+                        .map(s => s.symbol);
+                    warnings.push('Trades exported for pairs of currently held assets; pass symbols to include closed positions');
+                }
+
+                for (const symbol of symbols) {
+                    const pair = symbolInfo.get(symbol);
+
+                    if (!pair) {
+                        warnings.push(`${symbol}: not a listed pair`);
+                        continue;
+                    }
+
+                    const query = startTime
+                        ? { startTime, endTime, limit: 1000, maxPages }
+                        : { fromId: 0, endTime, limit: 1000, maxPages };
+                    const history = await this.getMyTrades(symbol, query);
+
+                    if (!history.success) {
+                        warnings.push(`${symbol}: ${JSON.stringify(history.error)}`);
+                        continue;
+                    }
+                    if (history.hasMore) {
+                        warnings.push(`${symbol}: more than ${maxPages} pages of fills; later fills are missing (raise maxPages)`);
+                    }
+
+                    history.trades
+                        .filter(t => !startTime || t.time >= startTime)
+                        .forEach(t => rows.push(tradeToRow(t, pair)));
+                }
+            }
+
+            const activityTypes = types.filter(t => ACTIVITY_TYPES.includes(t));
+            if (activityTypes.length > 0) {
+                listActivity({ types: activityTypes, startTime, endTime })
+                    .forEach(entry => rows.push(activityToRow(entry)));
+            }
+
+            rows.sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+
+            const counts = {};
+            rows.forEach(row => {
+                counts[row.type] = (counts[row.type] || 0) + 1;
+            });
+
+            const day = new Date().toISOString().slice(0, 10);
+
+            return {
+                success: true,
+                format: exportFormat,
+                fileName: `aster-activity-${exportFormat}-${day}.csv`,
+                rowCount: rows.length,
+                counts,
+                csv: renderCsv(rows, exportFormat),
+                ...(warnings.length > 0 && { warnings }),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Fetch consecutive pages from a signed history endpoint using an id cursor
+     * @param {string} endpoint - API endpoint (e.g., "/api/v1/userTrades")
+     * @param {Object} params - Params for the first page (must include limit)
+     * @param {Object} options - Paging options
+     * @param {string} options.cursorParam - Request param that continues from an id (e.g., "fromId")
+     * @param {string} options.idField - Response field holding the record id
+     * @param {number} options.maxPages - Maximum pages to fetch
+     * @param {number} options.endTime - Optional: Stop once a record is past this time (ms)
+     * @returns {Promise<Object>} {success, items, hasMore} or {success, error}
+     * @private
+     */
+    async _fetchPages(endpoint, params, options) {
+        const { cursorParam, idField, maxPages = 5, endTime = null } = options;
+        const pages = Math.max(parseInt(maxPages) || 1, 1);
+
+        let items = [];
+        let requestParams = { ...params };
+        let hasMore = false;
+
+        for (let i = 0; i < pages; i++) {
+            const response = await this._asterApiRequest(endpoint, 'GET', requestParams, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const batch = Array.isArray(response.data) ? response.data : [];
+            items = items.concat(batch);
+
+            hasMore = batch.length >= params.limit;
+
+            // Records come in id (and so time) order; nothing after this one is in range
+            if (hasMore && endTime && batch[batch.length - 1].time > endTime) {
+                hasMore = false;
+            }
+
+            if (!hasMore) {
+                break;
+            }
+
+            // Continue after the last record; the cursor can't be combined with a time range
+            const lastId = batch[batch.length - 1][idField];
+            requestParams = {
+                symbol: params.symbol,
+                limit: params.limit,
+                [cursorParam]: String(Number(lastId) + 1)
+            };
+        }
+
+        return { success: true, items, hasMore };
+    }
+
+    /**
+     * Normalize a fill returned by the user trades endpoint
+     * @param {Object} trade - Raw trade
+     * @returns {Object} Formatted trade
+     * @private
+     */
+    _formatTrade(trade) {
+        const isBuyer = trade.buyer !== undefined ? trade.buyer : trade.isBuyer;
+        const isMaker = trade.maker !== undefined ? trade.maker : trade.isMaker;
+
+        return {
+            id: trade.id,
+            orderId: trade.orderId,
+            symbol: trade.symbol,
+            side: trade.side || (isBuyer ? 'BUY' : 'SELL'),
+            price: trade.price,
+            qty: trade.qty,
+            quoteQty: trade.quoteQty || (parseFloat(trade.price) * parseFloat(trade.qty)).toString(),
+            commission: trade.commission,
+            commissionAsset: trade.commissionAsset,
+            maker: !!isMaker,
+            time: trade.time
+        };
+    }
+
+    /**
+     * Get latest price for a trading pair
+     * Served from the WebSocket cache when fresh, REST otherwise.
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @returns {Object} Price information
+     */
+    async getPrice(symbol) {
+        try {
+            // Validate symbol
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            // Subscribe on first request so later polls hit the cache
+            this.marketStream.watch(tradingSymbol);
+            const cached = this.marketStream.getPrice(tradingSymbol);
+
+            if (cached) {
+                return {
+                    success: true,
+                    symbol: tradingSymbol,
+                    price: cached.price,
+                    time: cached.time,
+                    bid: cached.bid,
+                    ask: cached.ask,
+                    source: 'stream',
+                    ageMs: cached.ageMs,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const response = await this._asterApiRequest('/api/v1/ticker/price', 'GET', {
+                symbol: tradingSymbol
+            }, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            return {
+                success: true,
+                symbol: response.data.symbol,
+                price: response.data.price,
+                time: response.data.time,
+                source: 'rest',
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get 24h rolling ticker statistics for one symbol or all symbols
+     * @param {string} symbol - Optional trading pair (e.g., "BTCUSDT"); omit for all symbols
+     * @returns {Object} 24h change, high/low, volume and quote volume
+     */
+    async getTicker24h(symbol = null) {
+        try {
+            const params = {};
+
+            if (symbol) {
+                params.symbol = await this._resolveSymbol(symbol);
+            }
+
+            const response = await this._asterApiRequest('/api/v1/ticker/24hr', 'GET', params, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            if (symbol) {
+                return {
+                    success: true,
+                    ticker: this._formatTicker(response.data),
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const tickers = (Array.isArray(response.data) ? response.data : []).map(t => this._formatTicker(t));
+
+            return {
+                success: true,
+                count: tickers.length,
+                tickers,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Rank market movers across all trading symbols in exchangeInfo
+     * @param {Object} options - Ranking options
+     * @param {number} options.limit - Entries per list (default 10)
+     * @param {string} options.quoteAsset - Optional: Only rank pairs quoted in this asset (e.g., "USDT")
+     * @param {number} options.minQuoteVolume - Optional: Ignore pairs below this 24h quote volume
+     * @returns {Object} Top gainers, losers and volume leaders
+     */
+    async getMarketMovers(options = {}) {
+        try {
+            const limit = Math.min(Math.max(parseInt(options.limit) || 10, 1), 100);
+            const quoteAsset = options.quoteAsset ? options.quoteAsset.toUpperCase() : null;
+            const minQuoteVolume = parseFloat(options.minQuoteVolume) || 0;
+
+            const [exchangeInfo, tickerResult] = await Promise.all([
+                this.getExchangeInfo(),
+                this.getTicker24h()
+            ]);
+
+            if (!exchangeInfo.success) {
+                return {
+                    success: false,
+                    error: `Failed to get exchange info: ${formatApiError(exchangeInfo.error)}`
+                };
+            }
+
+            if (!tickerResult.success) {
+                return {
+                    success: false,
+                    error: `Failed to get 24h tickers: ${formatApiError(tickerResult.error)}`
+                };
+            }
+
+            // Only rank symbols that are listed and trading
+            const tradable = new Set(
+                exchangeInfo.symbols
+                    .filter(s => !s.status || s.status === 'TRADING')
+                    .filter(s => !quoteAsset || s.quoteAsset === quoteAsset)
+                    .map(s => s.symbol)
+            );
+
+            const tickers = tickerResult.tickers
+                .filter(t => tradable.has(t.symbol))
+                .filter(t => parseFloat(t.quoteVolume) >= minQuoteVolume);
+
+            const byChange = [...tickers].sort((a, b) => parseFloat(b.priceChangePercent) - parseFloat(a.priceChangePercent));
+            const byVolume = [...tickers].sort((a, b) => parseFloat(b.quoteVolume) - parseFloat(a.quoteVolume));
+
+            const compact = t => ({
+                symbol: t.symbol,
+                lastPrice: t.lastPrice,
+                priceChangePercent: t.priceChangePercent,
+                quoteVolume: t.quoteVolume
+            });
+
+            return {
+                success: true,
+                quoteAsset: quoteAsset || 'ALL',
+                symbolsRanked: tickers.length,
+                gainers: byChange.slice(0, limit).map(compact),
+                losers: byChange.slice(-limit).reverse().map(compact),
+                volumeLeaders: byVolume.slice(0, limit).map(compact),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Normalize a 24h ticker
+     * @param {Object} ticker - Raw ticker from /api/v1/ticker/24hr
+     * @returns {Object} Formatted ticker
+     * @private
+     */
+    _formatTicker(ticker) {
+        return {
+            symbol: ticker.symbol,
+            lastPrice: ticker.lastPrice,
+            openPrice: ticker.openPrice,
+            priceChange: ticker.priceChange,
+            priceChangePercent: ticker.priceChangePercent,
+            highPrice: ticker.highPrice,
+            lowPrice: ticker.lowPrice,
+            weightedAvgPrice: ticker.weightedAvgPrice,
+            volume: ticker.volume,              // Base asset volume
+            quoteVolume: ticker.quoteVolume,    // Quote asset volume
+            count: ticker.count,                // Number of trades
+            openTime: ticker.openTime,
+            closeTime: ticker.closeTime
+        };
+    }
+
+    /**
+     * Get recent public trades for a symbol with a flow summary
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {number} limit - Number of trades (max 1000, default 500)
+     * @param {boolean} includeTrades - Return the individual trades (default false)
+     * @returns {Object} Buy/sell pressure, trade count, VWAP and optionally trades
+     */
+    async getRecentTrades(symbol, limit = 500, includeTrades = false) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const response = await this._asterApiRequest('/api/v1/trades', 'GET', {
+                symbol: tradingSymbol,
+                limit: Math.min(Math.max(parseInt(limit) || 500, 1), 1000)
+            }, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const trades = (response.data || []).map(t => ({
+                id: t.id,
+                price: parseFloat(t.price),
+                qty: parseFloat(t.qty),
+                time: t.time,
+                isBuyerMaker: !!t.isBuyerMaker
+            }));
+
+            const result = {
+                success: true,
+                symbol: tradingSymbol,
+                summary: summarizeTrades(trades),
+                timestamp: new Date().toISOString()
+            };
+
+            if (includeTrades) {
+                result.trades = trades;
+            }
+
+            return result;
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get compressed/aggregate public trades for a symbol with a flow summary
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Number of aggregate trades (max 1000, default 500)
+     * @param {string|number} options.startTime - Optional: Start time (ms or date string)
+     * @param {string|number} options.endTime - Optional: End time (ms or date string)
+     * @param {string|number} options.fromId - Optional: Aggregate trade id to start from (inclusive)
+     * @param {boolean} options.includeTrades - Return the individual trades (default false)
+     * @returns {Object} Buy/sell pressure, trade count, VWAP and optionally trades
+     */
+    async getAggTrades(symbol, options = {}) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const params = {
+                symbol: tradingSymbol,
+                limit: Math.min(Math.max(parseInt(options.limit) || 500, 1), 1000)
+            };
+
+            if (options.fromId !== null && options.fromId !== undefined && options.fromId !== '') {
+                params.fromId = String(options.fromId);
+            } else {
+                const startTime = parseTimestamp(options.startTime, 'startTime');
+                const endTime = parseTimestamp(options.endTime, 'endTime');
+                if (startTime) params.startTime = startTime;
+                if (endTime) params.endTime = endTime;
+            }
+
+            const response = await this._asterApiRequest('/api/v1/aggTrades', 'GET', params, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const trades = (response.data || []).map(t => ({
+                id: t.a,
+                price: parseFloat(t.p),
+                qty: parseFloat(t.q),
+                firstTradeId: t.f,
+                lastTradeId: t.l,
+                time: t.T,
+                isBuyerMaker: !!t.m
+            }));
+
+            const result = {
+                success: true,
+                symbol: tradingSymbol,
+                summary: {
+                    ...summarizeTrades(trades),
+                    // Aggregate trades bundle fills at the same price/time from one taker order
+                    aggregateCount: trades.length
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            if (options.includeTrades) {
+                result.trades = trades;
+            }
+
+            return result;
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get order book depth with spread and liquidity analysis
+     * Books up to the stream depth are served from the WebSocket cache when fresh.
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {number} limit - Number of levels per side (5, 10, 20, 50, 100, 500, 1000; default 100)
+     * @param {string} quoteAmount - Optional: Quote amount to simulate a market order for (e.g., "5000")
+     * @param {string} side - Side to simulate: BUY (default) or SELL
+     * @returns {Object} Raw levels, best bid/ask, spread, depth bands and expected fill
+     */
+    async getOrderBook(symbol, limit = 100, quoteAmount = null, side = 'BUY') {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            if (quoteAmount) {
+                validateAmount(quoteAmount, 'quoteAmount');
+            }
+
+            const sideUpper = (side || 'BUY').toUpperCase();
+            if (!['BUY', 'SELL'].includes(sideUpper)) {
+                throw new Error('Invalid side. Must be one of: BUY, SELL');
+            }
+
+            // Depth endpoint only accepts a fixed set of limits
+            const validLimits = [5, 10, 20, 50, 100, 500, 1000];
+            const requested = parseInt(limit) || 100;
+            const depthLimit = validLimits.find(l => l >= requested) || 1000;
+
+            let book = null;
+            let source = 'rest';
+            let ageMs = null;
+
+            // The partial depth stream only carries the top levels
+            if (requested <= DEPTH_LEVELS) {
+                this.marketStream.watch(tradingSymbol, ['depth']);
+                const cached = this.marketStream.getOrderBook(tradingSymbol);
+                if (cached) {
+                    book = cached;
+                    ageMs = cached.ageMs;
+                    source = 'stream';
+                }
+            }
+
+            if (!book) {
+                const response = await this._asterApiRequest('/api/v1/depth', 'GET', {
+                    symbol: tradingSymbol,
+                    limit: depthLimit
+                }, false);
+
+                if (!response.success) {
+                    return {
+                        success: false,
+                        error: response.error
+                    };
+                }
+
+                book = response.data;
+            }
+
+            const analysis = analyzeOrderBook(book, { quoteAmount, side: sideUpper });
+
+            return {
+                success: true,
+                symbol: tradingSymbol,
+                lastUpdateId: book.lastUpdateId,
+                source,
+                ageMs,
+                ...analysis,
+                bids: book.bids.slice(0, requested),
+                asks: book.asks.slice(0, requested),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get candlestick (kline) data with optional technical indicators computed server-side
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string} interval - Kline interval (1m, 5m, 15m, 1h, 4h, 1d, ...; default 1h)
+     * @param {Object} options - Query options
+     * @param {number} options.limit - Number of candles (max 1000, default 100)
+     * @param {string|number} options.startTime - Optional: Start time (ms or date string)
+     * @param {string|number} options.endTime - Optional: End time (ms or date string)
+     * @param {string[]} options.indicators - Optional: Any of sma, ema, rsi, macd, bollinger, vwap
+     * @param {number} options.period - Optional: Period for SMA/EMA/Bollinger (default 20)
+     * @param {boolean} options.includeCandles - Return raw candles (default: only when no indicators requested)
+     * @returns {Object} Candle summary, latest indicator values and optionally the candles
+     */
+    async getKlines(symbol, interval = '1h', options = {}) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+
+            const validIntervals = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+            const klineInterval = interval || '1h';
+            if (!validIntervals.includes(klineInterval)) {
+                throw new Error(`Invalid interval. Must be one of: ${validIntervals.join(', ')}`);
+            }
+
+            const requested = (options.indicators || []).map(i => String(i).toLowerCase());
+            const validIndicators = ['sma', 'ema', 'rsi', 'macd', 'bollinger', 'vwap'];
+            const unknown = requested.filter(i => !validIndicators.includes(i));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown indicators: ${unknown.join(', ')}. Supported: ${validIndicators.join(', ')}`);
+            }
+
+            const period = options.period !== null && options.period !== undefined ? parseInt(options.period) : 20;
+            if (!(period >= 1)) {
+                throw new Error('period must be a positive integer');
+            }
+
+            const includeCandles = options.includeCandles !== undefined
+                ? !!options.includeCandles
+                : requested.length === 0;
+
+            const params = {
+                symbol: tradingSymbol,
+                interval: klineInterval,
+                limit: Math.min(Math.max(parseInt(options.limit) || 100, 1), 1000)
+            };
+
+            const startTime = parseTimestamp(options.startTime, 'startTime');
+            const endTime = parseTimestamp(options.endTime, 'endTime');
+            if (startTime) params.startTime = startTime;
+            if (endTime) params.endTime = endTime;
+
+            const response = await this._asterApiRequest('/api/v1/klines', 'GET', params, false);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
+            }
+
+            const candles = (response.data || []).map(k => ({
+                openTime: k[0],
+                open: parseFloat(k[1]),
+                high: parseFloat(k[2]),
+                low: parseFloat(k[3]),
+                close: parseFloat(k[4]),
+                volume: parseFloat(k[5]),
+                closeTime: k[6],
+                quoteVolume: parseFloat(k[7]),
+                trades: k[8]
+            }));
+
+            if (candles.length === 0) {
+                return {
+                    success: true,
+                    symbol: params.symbol,
+                    interval: klineInterval,
+                    count: 0,
+                    candles: [],
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const closes = candles.map(c => c.close);
+            const first = candles[0];
+            const last = candles[candles.length - 1];
+
+            const summary = {
+                from: new Date(first.openTime).toISOString(),
+                to: new Date(last.closeTime).toISOString(),
+                open: first.open,
+                close: last.close,
+                high: Math.max(...candles.map(c => c.high)),
+                low: Math.min(...candles.map(c => c.low)),
+                changePercent: first.open ? (last.close - first.open) / first.open * 100 : null,
+                volume: candles.reduce((acc, c) => acc + c.volume, 0),
+                quoteVolume: candles.reduce((acc, c) => acc + c.quoteVolume, 0)
+            };
+
+            const values = {};
+
+            if (requested.includes('sma')) {
+                values.sma = { period, value: indicators.latest(indicators.sma(closes, period)) };
+            }
+
+            if (requested.includes('ema')) {
+                values.ema = { period, value: indicators.latest(indicators.ema(closes, period)) };
+            }
+
+            if (requested.includes('rsi')) {
+                values.rsi = { period: 14, value: indicators.latest(indicators.rsi(closes, 14)) };
+            }
+
+            if (requested.includes('macd')) {
+                const result = indicators.macd(closes, 12, 26, 9);
+                values.macd = {
+                    fast: 12,
+                    slow: 26,
+                    signalPeriod: 9,
+                    macd: indicators.latest(result.macd),
+                    signal: indicators.latest(result.signal),
+                    histogram: indicators.latest(result.histogram)
+                };
+            }
+
+            if (requested.includes('bollinger')) {
+                const bands = indicators.bollingerBands(closes, period, 2);
+                const upper = indicators.latest(bands.upper);
+                const lower = indicators.latest(bands.lower);
+                values.bollinger = {
+                    period,
+                    stdDev: 2,
+                    middle: indicators.latest(bands.middle),
+                    upper,
+                    lower,
+                    // Position of the last close within the bands (0 = lower, 1 = upper)
+                    percentB: upper !== null && upper !== lower ? (last.close - lower) / (upper - lower) : null
+                };
+            }
+
+            if (requested.includes('vwap')) {
+                values.vwap = { value: indicators.vwap(candles) };
+            }
+
+            const result = {
+                success: true,
+                symbol: params.symbol,
+                interval: klineInterval,
+                count: candles.length,
+                summary,
+                timestamp: new Date().toISOString()
+            };
+
+            if (requested.length > 0) {
+                result.indicators = values;
+            }
+
+            if (includeCandles) {
+                result.candles = candles;
+            }
+
+            return result;
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Search listed trading symbols by pair or asset
+     * Accepts "BTC/USDT", "btc-usdt", "BTCUSDT" or a bare asset like "BTC".
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results (default 10)
+     * @param {string} quoteAsset - Optional: Only include pairs quoted in this asset (e.g., "USDT")
+     * @returns {Object} Exact match (if any) and closest matches with base/quote assets
+     */
+    async searchSymbols(query, limit = 10, quoteAsset = null) {
+        try {
+            if (!query || typeof query !== 'string') {
+                throw new Error('query must be a non-empty string');
+            }
+
+            const maxResults = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+            const matches = await this.symbolRegistry.search(query, maxResults, quoteAsset);
+            const exact = await this.symbolRegistry.find(query);
+
+            const compact = info => ({
+                symbol: info.symbol,
+                baseAsset: info.baseAsset,
+                quoteAsset: info.quoteAsset,
+                status: info.status
+            });
+
+            return {
+                success: true,
+                query,
+                exactMatch: exact ? compact(exact) : null,
+                count: matches.length,
+                matches: matches.map(compact),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Create a price alert evaluated in the background
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string} type - price_above, price_below, percent_change or spread_above
+     * @param {Object} options - Condition parameters
+     * @param {string} options.level - Price level (price_above/price_below)
+     * @param {number} options.percent - Signed % move (percent_change)
+     * @param {number} options.windowMinutes - Window for percent_change (default 60)
+     * @param {number} options.spreadBps - Spread threshold in bps (spread_above)
+     * @param {boolean} options.repeat - Fire again each time the condition is met anew
+     * @param {string} options.note - Optional note
+     * @returns {Object} Created alert with the current price
+     */
+    async createPriceAlert(symbol, type, options = {}) {
+        try {
+            const tradingSymbol = await this._resolveSymbol(symbol);
+            const alert = this.alerts.create({ symbol: tradingSymbol, type, ...options });
+
+            // Current price for context and to start the percent_change window
+            let currentPrice = null;
+            try {
+                currentPrice = (await this._getQuote(tradingSymbol)).price;
+                this.alerts.recordPrice(tradingSymbol, currentPrice);
+            } catch (error) {
+                console.error(`Failed to get price for new alert on ${tradingSymbol}:`, error.message);
+            }
+
+            return {
+                success: true,
+                alert,
+                currentPrice,
+                checkIntervalMs: this.alertCheckInterval,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * List price alerts
+     * @param {string} status - Optional: active or triggered
+     * @returns {Object} Alerts with last evaluated value and trigger details
+     */
+    async listAlerts(status = null) {
+        try {
+            if (status && !['active', 'triggered'].includes(status)) {
+                throw new Error('Invalid status. Must be one of: active, triggered');
+            }
+
+            const alerts = this.alerts.list(status);
+
+            return {
+                success: true,
+                count: alerts.length,
+                alerts,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Delete a price alert
+     * @param {string} alertId - Alert id
+     * @returns {Object} Deleted alert
+     */
+    async deleteAlert(alertId) {
+        try {
+            if (!alertId) {
+                throw new Error('alertId is required');
+            }
+
+            return {
+                success: true,
+                deleted: this.alerts.delete(alertId),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Create a recurring DCA plan that market-buys a fixed quote amount on a schedule
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string} quoteAmount - Quote amount per buy (e.g., "50" USDT)
+     * @param {string} schedule - Cron expression in UTC (e.g., "0 9 * * 1") or hourly/daily/weekly/monthly
+     * @param {Object} options - Plan limits
+     * @param {string} options.maxTotalBudget - Optional: Complete the plan once this much quote is spent
+     * @param {string} options.maxPrice - Optional: Skip runs while the price is above this
+     * @param {string} options.note - Optional note
+     * @returns {Object} Created plan with next run time
+     */
+    async createDcaPlan(symbol, quoteAmount, schedule, options = {}) {
+        try {
+            validateAmount(quoteAmount, 'quoteAmount');
+            if (options.maxTotalBudget) validateAmount(options.maxTotalBudget, 'maxTotalBudget');
+            if (options.maxPrice) validateAmount(options.maxPrice, 'maxPrice');
+
+            const symbolInfo = await this._getSymbolInfo(symbol);
+
+            // Reject plans whose every run would fail on MIN_NOTIONAL
+            const minNotional = getMinNotional(symbolInfo);
+            if (minNotional > 0 && parseFloat(quoteAmount) < minNotional) {
+                throw new Error(
+                    `quoteAmount ${quoteAmount} is below the minimum notional of ${minNotional} for ${symbolInfo.symbol}`
+                );
+            }
+
+            const plan = this.dca.create({
+                symbol: symbolInfo.symbol,
+                quoteAmount,
+                schedule,
+                ...options
+            });
+
+            return {
+                success: true,
+                plan,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * List DCA plans, or get one plan with its full run history
+     * @param {string} planId - Optional: Plan id for full history
+     * @param {string} status - Optional: active, paused, completed or cancelled
+     * @returns {Object} Plans with totals, average price and recent runs
+     */
+    async listDcaPlans(planId = null, status = null) {
+        try {
+            const summarize = (plan, historyLimit) => ({
+                ...plan,
+                averagePrice: plan.totalBought > 0 ? plan.totalSpent / plan.totalBought : null,
+                budgetRemaining: plan.maxTotalBudget !== null ? plan.maxTotalBudget - plan.totalSpent : null,
+                history: historyLimit ? plan.history.slice(-historyLimit) : plan.history
+            });
+
+            if (planId) {
+                return {
+                    success: true,
+                    plan: summarize(this.dca.get(planId), null),
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const validStatuses = ['active', 'paused', 'completed', 'cancelled'];
+            if (status && !validStatuses.includes(status)) {
+                throw new Error(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
+            }
+
+            const plans = this.dca.list(status);
+
+            return {
+                success: true,
+                count: plans.length,
+                // Last few runs per plan; pass planId for the full history
+                plans: plans.map(plan => summarize(plan, 5)),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Pause or resume a DCA plan
+     * @param {string} planId - Plan id
+     * @param {boolean} resume - Resume a paused plan instead of pausing
+     * @returns {Object} Updated plan
+     */
+    async pauseDcaPlan(planId, resume = false) {
+        try {
+            const plan = this.dca.setPaused(planId, !resume);
+
+            return {
+                success: true,
+                planId: plan.id,
+                status: plan.status,
+                nextRunAt: plan.nextRunAt,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Cancel a DCA plan (history is kept)
+     * @param {string} planId - Plan id
+     * @returns {Object} Cancelled plan totals
+     */
+    async cancelDcaPlan(planId) {
+        try {
+            const plan = this.dca.cancel(planId);
+
+            return {
+                success: true,
+                planId: plan.id,
+                status: plan.status,
+                runCount: plan.runCount,
+                totalSpent: plan.totalSpent,
+                totalBought: plan.totalBought,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Start a grid strategy: laddered limit buys below and sells above the current price
+     * Levels and quantities are validated against the symbol's exchange filters before any order is placed.
+     * @param {string} symbol - Trading pair (e.g., "BTCUSDT")
+     * @param {string} lowerPrice - Lowest grid level
+     * @param {string} upperPrice - Highest grid level
+     * @param {number} gridCount - Number of grid intervals (2-100)
+     * @param {string} investment - Quote amount to commit (e.g., "500" USDT)
+     * @param {string} mode - arithmetic (equal price steps, default) or geometric (equal % steps)
+     * @returns {Object} Started grid with its levels and orders
+     */
+    async startGrid(symbol, lowerPrice, upperPrice, gridCount, investment, mode = 'arithmetic') {
+        try {
+            validateAmount(lowerPrice, 'lowerPrice');
+            validateAmount(upperPrice, 'upperPrice');
+            validateAmount(investment, 'investment');
+
+            const symbolInfo = await this._getSymbolInfo(symbol);
+
+            const grid = await this.grids.start(symbolInfo, {
+                lower: lowerPrice,
+                upper: upperPrice,
+                gridCount,
+                investment,
+                mode
+            });
+
+            return {
+                success: true,
+                grid: this.grids.summarize(grid, grid.startPrice),
+                levels: grid.levels,
+                orders: grid.orders,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get grid status: open orders, fills and realized profit
+     * @param {string} gridId - Optional: Grid id (all grids if omitted)
+     * @returns {Object} Grid summaries; a single grid also includes its orders and recent fills
+     */
+    async gridStatus(gridId = null) {
+        try {
+            const currentPrice = async grid => {
+                try {
+                    return parseFloat((await this._getQuote(grid.symbol)).price);
+                } catch (error) {
+                    return null;
+                }
+            };
+
+            if (gridId) {
+                const grid = this.grids.get(gridId);
+                if (grid.status === 'running') {
+                    await this.grids.sync(grid);
+                }
+
+                return {
+                    success: true,
+                    grid: this.grids.summarize(grid, await currentPrice(grid)),
+                    levels: grid.levels,
+                    orders: grid.orders,
+                    recentFills: grid.fills.slice(-20),
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const grids = [];
+            for (const grid of this.grids.list()) {
+                grids.push(this.grids.summarize(grid, grid.status === 'running' ? await currentPrice(grid) : null));
+            }
+
+            return {
+                success: true,
+                count: grids.length,
+                grids,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Stop a grid and cancel its outstanding orders (base and quote held by the grid are left as is)
+     * @param {string} gridId - Grid id
+     * @returns {Object} Final grid summary and cancellation results
+     */
+    async stopGrid(gridId) {
+        try {
+            if (!gridId) {
+                throw new Error('gridId is required');
+            }
+
+            const { grid, cancelled, failed } = await this.grids.stop(gridId);
+
             return {
-                success: true,
-                symbol: response.data.symbol,
-                price: response.data.price,
-                time: response.data.time,
+                success: failed.length === 0,
+                grid: this.grids.summarize(grid),
+                cancelledOrders: cancelled,
+                failedCancels: failed,
+                ...(failed.length > 0 && { error: `${failed.length} order(s) could not be cancelled; cancel them manually with cancel_order` }),
                 timestamp: new Date().toISOString()
             };
 
@@ -281,6 +2328,38 @@ class ToolsAPI {
         }
     }
 
+    /**
+     * Get last price and best bid/ask for a symbol
+     * Uses the WebSocket cache when fresh, REST otherwise.
+     * @param {string} symbol - Listed symbol
+     * @returns {Promise<Object>} {price, bid, ask}
+     * @throws {Error} If prices cannot be fetched
+     * @private
+     */
+    async _getQuote(symbol) {
+        this.marketStream.watch(symbol);
+        const cached = this.marketStream.getPrice(symbol);
+
+        if (cached && cached.bid && cached.ask) {
+            return { price: cached.price, bid: cached.bid, ask: cached.ask };
+        }
+
+        const [priceResponse, bookResponse] = await Promise.all([
+            this._asterApiRequest('/api/v1/ticker/price', 'GET', { symbol }, false),
+            this._asterApiRequest('/api/v1/ticker/bookTicker', 'GET', { symbol }, false)
+        ]);
+
+        if (!priceResponse.success) {
+            throw new Error(`Failed to get price for ${symbol}: ${priceResponse.error.message}`);
+        }
+
+        return {
+            price: priceResponse.data.price,
+            bid: bookResponse.success ? bookResponse.data.bidPrice : null,
+            ask: bookResponse.success ? bookResponse.data.askPrice : null
+        };
+    }
+
     /**
      * Get exchange information including trading pairs, limits, and filters
      * @param {string} symbol - Optional trading pair to get info for specific symbol
@@ -290,10 +2369,9 @@ class ToolsAPI {
         try {
             const params = {};
 
-            // If symbol provided, validate and add to params
+            // If symbol provided, resolve and add to params
             if (symbol) {
-                validateTradingSymbol(symbol);
-                params.symbol = symbol.toUpperCase();
+                params.symbol = await this._resolveSymbol(symbol);
             }
 
             const response = await this._asterApiRequest('/api/v1/exchangeInfo', 'GET', params, false);
@@ -314,12 +2392,12 @@ class ToolsAPI {
 
             // If specific symbol requested, return just that symbol's info
             if (symbol && exchangeData.symbols) {
-                const symbolInfo = exchangeData.symbols.find(s => s.symbol === symbol.toUpperCase());
+                const symbolInfo = exchangeData.symbols.find(s => s.symbol === params.symbol);
 
                 if (!symbolInfo) {
                     return {
                         success: false,
-                        error: `Symbol ${symbol.toUpperCase()} not found on exchange`
+                        error: `Symbol ${params.symbol} not found on exchange`
                     };
                 }
 
@@ -332,6 +2410,11 @@ class ToolsAPI {
                 };
             }
 
+            // Full symbol list is fresh, so refresh the registry cache with it
+            if (exchangeData.symbols) {
+                this.symbolRegistry.update(exchangeData);
+            }
+
             // Return full exchange info
             return {
                 success: true,
@@ -365,20 +2448,8 @@ class ToolsAPI {
             let walletAddress = address;
             if (!walletAddress) {
                 try {
-                    const privateKey = getNetworkPrivateKey(networkLower);
-
-                    if (networkLower === 'solana') {
-                        // Derive Solana address from private key
-                        const secretKey = bs58.decode(privateKey);
-                        const keypair = Keypair.fromSecretKey(secretKey);
-                        walletAddress = keypair.publicKey.toBase58();
-                        console.error(`Using Solana wallet from env: ${walletAddress}`);
-                    } else {
-                        // Derive EVM address from private key
-                        const wallet = new ethers.Wallet(privateKey);
-                        walletAddress = wallet.address;
-                        console.error(`Using ${network} wallet from env: ${walletAddress}`);
-                    }
+                    walletAddress = this._getEnvWalletAddress(networkLower);
+                    console.error(`Using ${network} wallet from env: ${walletAddress}`);
                 } catch (error) {
                     return {
                         success: false,
@@ -477,14 +2548,7 @@ class ToolsAPI {
                 // Normalize address (handle checksum)
                 const normalizedAddress = ethers.getAddress(walletAddress.toLowerCase());
 
-                // Network symbol mapping
-                const networkSymbols = {
-                    ethereum: 'ETH',
-                    arbitrum: 'ETH',
-                    bnb: 'BNB'
-                };
-
-                const symbol = networkSymbols[networkLower];
+                const symbol = EVM_NATIVE_SYMBOLS[networkLower];
 
                 if (resolvedTokenAddress) {
                     // ERC20 token balance
@@ -537,24 +2601,394 @@ class ToolsAPI {
         }
     }
 
+    /**
+     * Scan all configured wallets (native + configured ERC20 tokens, every SPL account on Solana)
+     * and merge them with exchange balances into one view per asset
+     * @param {Array<string>} networks - Optional: Networks to scan (default: all supported)
+     * @param {string} quoteAsset - Optional: Value the consolidated holdings in this asset (e.g., "USDT")
+     * @param {boolean} includeZero - Include zero balances in the per-network lists
+     * @returns {Object} Per-network balances, exchange balances and consolidated totals per asset
+     */
+    async getWalletInventory(networks = null, quoteAsset = null, includeZero = false) {
+        try {
+            const targets = networks && networks.length > 0
+                ? networks.map(n => String(n).toLowerCase())
+                : INVENTORY_NETWORKS;
+            targets.forEach(n => validateNetwork(n, INVENTORY_NETWORKS));
+
+            const exchangeEnabled = !!this.asterApiKey && !!this.asterApiSecret;
+
+            const [scans, exchangeResult] = await Promise.all([
+                Promise.all(targets.map(n => this._scanWallet(n, includeZero))),
+                exchangeEnabled ? this.getAccountBalance() : null
+            ]);
+
+            const exchange = !exchangeEnabled
+                ? { included: false, reason: 'ASTER_API_KEY / ASTER_API_SECRET not configured' }
+                : exchangeResult.success
+                    ? {
+                        included: true,
+                        balances: exchangeResult.balances.filter(b => parseFloat(b.total) > 0)
+                    }
+                    : { included: false, reason: exchangeResult.error };
+
+            // One entry per asset across wallets and the exchange
+            const holdings = new Map();
+            const add = (asset, source, amount) => {
+                if (!(amount > 0)) {
+                    return;
+                }
+                if (!holdings.has(asset)) {
+                    holdings.set(asset, { asset, total: 0, walletTotal: 0, exchangeTotal: 0, locations: [] });
+                }
+                const entry = holdings.get(asset);
+                entry.total += amount;
+                entry[source === 'exchange' ? 'exchangeTotal' : 'walletTotal'] += amount;
+                entry.locations.push({ source, amount });
+            };
+
+            for (const scan of scans) {
+                for (const token of scan.tokens || []) {
+                    // SPL mints not in tokens-config have no reliable symbol to merge on
+                    if (token.symbol) {
+                        add(token.symbol, scan.network, parseFloat(token.balance));
+                    }
+                }
+            }
+
+            for (const balance of exchange.balances || []) {
+                add(balance.asset, 'exchange', parseFloat(balance.total));
+            }
+
+            let consolidated = [...holdings.values()].sort((a, b) => b.total - a.total);
+            let valuation = null;
+
+            if (quoteAsset) {
+                const quote = quoteAsset.toUpperCase();
+                const graph = await this._getRateGraph();
+                const { totalValue, assets, unpriced } = valueBalances(consolidated, quote, graph);
+
+                consolidated = [...assets, ...unpriced];
+                valuation = { quoteAsset: quote, totalValue, unpricedAssets: unpriced.map(u => u.asset) };
+            }
+
+            const errors = scans.flatMap(scan => (scan.errors || []).map(e => ({ network: scan.network, ...e })));
+
+            return {
+                success: true,
+                networks: scans,
+                exchange,
+                consolidated,
+                ...(valuation && { valuation }),
+                unrecognizedTokens: scans.reduce((sum, scan) => sum + (scan.unrecognizedTokens || 0), 0),
+                ...(errors.length > 0 && { errors }),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Get portfolio value over time from recorded snapshots, with drawdown and period returns
+     * Returns are on total value, so deposits and withdrawals count as gains and losses.
+     * @param {string} period - 24h, 7d (default), 30d, 90d, 1y or all
+     * @param {number} maxPoints - Maximum number of points in the returned series (default 100)
+     * @param {boolean} snapshotNow - Record a fresh snapshot first
+     * @returns {Object} Summary, value series and latest asset breakdown
+     */
+    async getPortfolioHistory(period = '7d', maxPoints = 100, snapshotNow = false) {
+        try {
+            const points = Math.max(2, Math.min(parseInt(maxPoints) || 100, 1000));
+
+            if (snapshotNow) {
+                await this.snapshots.record();
+            }
+
+            const all = this.snapshots.list('all');
+            const snapshots = this.snapshots.list(period || '7d');
+
+            if (snapshots.length === 0) {
+                return {
+                    success: true,
+                    period,
+                    snapshotCount: 0,
+                    message: this.snapshotInterval
+                        ? `No snapshots in this period yet. Snapshots are recorded every ${Math.round(this.snapshotInterval / 60000)} minutes while the server runs; pass snapshotNow to record one immediately.`
+                        : 'Periodic snapshots are disabled (ASTER_SNAPSHOT_INTERVAL=0); pass snapshotNow to record one.',
+                    lastSnapshotError: this.snapshots.lastError,
+                    timestamp: new Date().toISOString()
+                };
+            }
+
+            const latest = snapshots[snapshots.length - 1];
+
+            return {
+                success: true,
+                period,
+                quoteAsset: latest.quoteAsset,
+                summary: {
+                    ...summarizeHistory(snapshots),
+                    // Standard lookbacks over the full history, independent of the selected period
+                    periodReturns: summarizeHistory(all).periodReturns
+                },
+                series: downsample(snapshots, points).map(s => ({
+                    time: s.time,
+                    totalValue: s.totalValue,
+                    exchangeValue: s.exchangeValue,
+                    walletValue: s.walletValue
+                })),
+                latest,
+                snapshotIntervalMs: this.snapshotInterval,
+                lastSnapshotError: this.snapshots.lastError,
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Value exchange and wallet balances for a snapshot
+     * Incomplete scans are not recorded, so a failed RPC or API call never shows up as a drawdown.
+     * @returns {Promise<Object|null>} Snapshot data, or null if nothing is configured to track
+     * @throws {Error} If balances cannot be fetched completely
+     * @private
+     */
+    async _takePortfolioSnapshot() {
+        const inventory = await this.getWalletInventory(null, SNAPSHOT_QUOTE_ASSET);
+
+        if (!inventory.success) {
+            throw new Error(inventory.error);
+        }
+
+        const exchangeConfigured = !!this.asterApiKey && !!this.asterApiSecret;
+        const scanned = inventory.networks.filter(n => !n.skipped);
+
+        if (exchangeConfigured && !inventory.exchange.included) {
+            throw new Error(`Exchange balances unavailable: ${JSON.stringify(inventory.exchange.reason)}`);
+        }
+
+        // Any failed lookup (one token, one SPL program) would leave a balance out of the total
+        const failed = scanned.filter(n => n.errors && n.errors.length > 0);
+        if (failed.length > 0) {
+            throw new Error(`Wallet scan incomplete on ${failed.map(n => `${n.network} (${n.errors.length} failed)`).join(', ')}`);
+        }
+
+        if (!exchangeConfigured && scanned.length === 0) {
+            return null;
+        }
+
+        const priced = inventory.consolidated.filter(a => a.value !== undefined);
+
+        return {
+            quoteAsset: SNAPSHOT_QUOTE_ASSET,
+            totalValue: inventory.valuation.totalValue,
+            exchangeValue: priced.reduce((sum, a) => sum + a.exchangeTotal * a.price, 0),
+            walletValue: priced.reduce((sum, a) => sum + a.walletTotal * a.price, 0),
+            assets: priced.map(a => ({
+                asset: a.asset,
+                amount: a.total,
+                price: a.price,
+                value: a.value
+            })),
+            unpricedAssets: inventory.valuation.unpricedAssets,
+            networks: scanned.map(n => n.network)
+        };
+    }
+
+    /**
+     * Derive the wallet address for a network from env credentials
+     * @param {string} network - Network name (ethereum, arbitrum, bnb, solana)
+     * @returns {string} Wallet address
+     * @throws {Error} If no credentials are configured
+     * @private
+     */
+    _getEnvWalletAddress(network) {
+        const privateKey = getNetworkPrivateKey(network);
+
+        if (network === 'solana') {
+            return Keypair.fromSecretKey(bs58.decode(privateKey)).publicKey.toBase58();
+        }
+
+        return new ethers.Wallet(privateKey).address;
+    }
+
+    /**
+     * Fetch native and token balances of the env wallet on one network
+     * Networks without a wallet or RPC URL are returned as skipped rather than failing the scan.
+     * @param {string} network - Network name
+     * @param {boolean} includeZero - Keep zero balances
+     * @returns {Promise<Object>} {network, address, tokens, errors} or {network, skipped}
+     * @private
+     */
+    async _scanWallet(network, includeZero) {
+        let address;
+        let rpcUrl;
+
+        try {
+            address = this._getEnvWalletAddress(network);
+            rpcUrl = getNetworkRpcUrl(network);
+        } catch (error) {
+            return { network, skipped: error.message };
+        }
+
+        try {
+            const scan = network === 'solana'
+                ? await this._scanSolanaWallet(address, rpcUrl)
+                : await this._scanEvmWallet(network, address, rpcUrl);
+
+            return {
+                network,
+                address,
+                ...scan,
+                tokens: includeZero ? scan.tokens : scan.tokens.filter(t => parseFloat(t.balance) > 0)
+            };
+        } catch (error) {
+            return { network, address, tokens: [], errors: [{ error: error.message }] };
+        }
+    }
+
+    /**
+     * Native and configured ERC20 balances of an EVM wallet, fetched concurrently
+     * @param {string} network - ethereum, arbitrum or bnb
+     * @param {string} address - Wallet address
+     * @param {string} rpcUrl - RPC URL
+     * @returns {Promise<Object>} {tokens, errors}
+     * @private
+     */
+    async _scanEvmWallet(network, address, rpcUrl) {
+        const provider = new ethers.JsonRpcProvider(rpcUrl);
+        const erc20Abi = ['function balanceOf(address owner) view returns (uint256)'];
+        const tokens = getNetworkTokens(network);
+
+        const results = await Promise.allSettled(tokens.map(async token => {
+            const raw = token.type === 'native'
+                ? await provider.getBalance(address)
+                : await new ethers.Contract(
+                    ethers.getAddress(token.address.toLowerCase()),
+                    erc20Abi,
+                    provider
+                ).balanceOf(address);
+
+            return {
+                symbol: token.symbol,
+                name: token.name,
+                type: token.type,
+                tokenAddress: token.address || null,
+                balance: ethers.formatUnits(raw, token.decimals),
+                decimals: token.decimals
+            };
+        }));
+
+        return {
+            tokens: results.filter(r => r.status === 'fulfilled').map(r => r.value),
+            errors: results
+                .map((r, i) => r.status === 'rejected' ? { token: tokens[i].symbol, error: r.reason.message } : null)
+                .filter(Boolean)
+        };
+    }
+
+    /**
+     * SOL and every SPL token account owned by a Solana wallet (SPL Token and Token-2022)
+     * Accounts of the same mint are summed; mints not in tokens-config are listed without a symbol.
+     * @param {string} address - Wallet address (base58)
+     * @param {string} rpcUrl - RPC URL
+     * @returns {Promise<Object>} {tokens, errors, unrecognizedTokens}
+     * @private
+     */
+    async _scanSolanaWallet(address, rpcUrl) {
+        const connection = new Connection(rpcUrl, 'confirmed');
+        const owner = new PublicKey(address);
+
+        const [lamports, ...accountResults] = await Promise.all([
+            connection.getBalance(owner),
+            ...SPL_TOKEN_PROGRAM_IDS.map(programId =>
+                connection.getParsedTokenAccountsByOwner(owner, { programId: new PublicKey(programId) })
+                    .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+            )
+        ]);
+
+        const knownMints = new Map(
+            getNetworkTokens('solana').filter(t => t.type === 'spl').map(t => [t.address, t])
+        );
+
+        const byMint = new Map();
+        const errors = [];
+
+        accountResults.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                errors.push({ programId: SPL_TOKEN_PROGRAM_IDS[i], error: result.reason.message });
+                return;
+            }
+
+            for (const { account } of result.value.value) {
+                const info = account.data.parsed.info;
+                const entry = byMint.get(info.mint) || { raw: 0n, decimals: info.tokenAmount.decimals, accounts: 0 };
+                entry.raw += BigInt(info.tokenAmount.amount);
+                entry.accounts++;
+                byMint.set(info.mint, entry);
+            }
+        });
+
+        const tokens = [{
+            symbol: 'SOL',
+            name: 'Solana',
+            type: 'native',
+            tokenAddress: null,
+            balance: ethers.formatUnits(BigInt(lamports), 9),
+            decimals: 9
+        }];
+
+        for (const [mint, entry] of byMint) {
+            const known = knownMints.get(mint);
+            tokens.push({
+                symbol: known ? known.symbol : null,
+                name: known ? known.name : null,
+                type: 'spl',
+                tokenAddress: mint,
+                balance: ethers.formatUnits(entry.raw, entry.decimals),
+                decimals: entry.decimals,
+                tokenAccounts: entry.accounts
+            });
+        }
+
+        return {
+            tokens,
+            errors,
+            unrecognizedTokens: tokens.filter(t => !t.symbol && parseFloat(t.balance) > 0).length
+        };
+    }
+
     /**
      * Deposit tokens to AsterDEX from blockchain
      * @param {string} network - Network name (ethereum, arbitrum, bnb, solana)
      * @param {string} token - Token symbol or contract address
      * @param {string} amount - Amount to deposit
      * @param {string} privateKey - Optional: Private key for signing (uses env if not provided)
+     * @param {string} targetAccount - Exchange account to credit: spot (default) or futures
      * @returns {Object} Deposit transaction result
      */
-    async deposit(network, token, amount, privateKey = null) {
+    async deposit(network, token, amount, privateKey = null, targetAccount = 'spot') {
         try {
             // Validate parameters
             validateNetwork(network); // All networks supported
             validateAmount(amount, 'amount');
 
             const networkLower = network.toLowerCase();
+            const account = (targetAccount || 'spot').toLowerCase();
+            const broker = getDepositBroker(account);
 
             // Handle Solana deposits separately
             if (networkLower === 'solana') {
+                if (account !== 'spot') {
+                    return {
+                        success: false,
+                        error: 'Solana deposits can only be credited to the spot account. Deposit to spot, then use transfer_between_accounts.'
+                    };
+                }
                 return await this._depositSolana(token, amount, privateKey);
             }
 
@@ -587,6 +3021,7 @@ class ToolsAPI {
                 console.error(`Deposit contract: ${depositContract.address}`);
                 console.error(`Token: ${token}`);
                 console.error(`Amount: ${amount}`);
+                console.error(`Target account: ${account} (broker ${broker})`);
                 console.error(`Is Native: ${isNative}`);
                 if (!isNative) {
                     console.error(`Token address: ${tokenAddress}`);
@@ -609,8 +3044,8 @@ class ToolsAPI {
                 );
 
                 // Send native token with transaction
-                // broker parameter: 1000 for SPOT account deposits
-                const tx = await contract.depositNative(1000, {
+                // broker parameter selects the credited account (1000 = SPOT, 0 = FUTURES)
+                const tx = await contract.depositNative(broker, {
                     value: ethers.parseEther(amount)
                 });
 
@@ -619,12 +3054,13 @@ class ToolsAPI {
 
                 const receipt = await tx.wait();
 
-                return {
+                const result = {
                     success: true,
                     deposit: {
                         network: network,
                         token: tokenConfig.symbol,
                         amount: amount,
+                        targetAccount: account,
                         txHash: tx.hash,
                         blockNumber: receipt.blockNumber,
                         status: 'confirmed',
@@ -633,6 +3069,9 @@ class ToolsAPI {
                     timestamp: new Date().toISOString()
                 };
 
+                this._recordDeposit(result.deposit, wallet.address);
+                return result;
+
             } else {
                 // Deposit ERC20 token
                 console.error('Depositing ERC20 token...');
@@ -719,14 +3158,14 @@ class ToolsAPI {
                     console.error(`Calling deposit() with:`);
                     console.error(`  Token: ${normalizedTokenAddress}`);
                     console.error(`  Amount: ${amountBN.toString()}`);
-                    console.error(`  Broker: 1000 (SPOT account)`);
+                    console.error(`  Broker: ${broker} (${account.toUpperCase()} account)`);
                 }
 
-                // broker parameter: 1000 for SPOT account deposits
+                // broker parameter selects the credited account (1000 = SPOT, 0 = FUTURES)
                 const depositTx = await depositContractInstance.deposit(
                     normalizedTokenAddress,
                     amountBN,
-                    1000
+                    broker
                 );
 
                 console.error(`Deposit tx sent: ${depositTx.hash}`);
@@ -743,13 +3182,14 @@ class ToolsAPI {
                     console.error(`Gas used: ${receipt.gasUsed.toString()}`);
                 }
 
-                return {
+                const result = {
                     success: true,
                     deposit: {
                         network: network,
                         token: token,
                         tokenAddress: normalizedTokenAddress,
                         amount: amount,
+                        targetAccount: account,
                         txHash: depositTx.hash,
                         blockNumber: receipt.blockNumber,
                         status: 'confirmed',
@@ -757,8 +3197,76 @@ class ToolsAPI {
                     },
                     timestamp: new Date().toISOString()
                 };
+
+                this._recordDeposit(result.deposit, wallet.address);
+                return result;
+            }
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Transfer an asset between the spot and futures accounts on Aster Exchange
+     * @param {string} asset - Asset symbol (e.g., "USDT")
+     * @param {string} amount - Amount to transfer
+     * @param {string} from - Source account: spot or futures
+     * @param {string} to - Destination account: spot or futures
+     * @returns {Object} Transfer result
+     */
+    async transferBetweenAccounts(asset, amount, from, to) {
+        try {
+            validateAmount(amount, 'amount');
+
+            if (!asset || typeof asset !== 'string') {
+                throw new Error('asset must be a non-empty string');
+            }
+
+            const fromLower = from ? from.toLowerCase() : '';
+            const toLower = to ? to.toLowerCase() : '';
+
+            // kindType names the direction of the transfer
+            const kindTypes = {
+                'spot>futures': 'SPOT_FUTURE',
+                'futures>spot': 'FUTURE_SPOT'
+            };
+            const kindType = kindTypes[`${fromLower}>${toLower}`];
+
+            if (!kindType) {
+                throw new Error('Invalid accounts. Transfer from spot to futures or from futures to spot');
+            }
+
+            const clientTranId = generateClientOrderId();
+
+            const response = await this._asterApiRequest('/api/v1/asset/wallet/transfer', 'POST', {
+                asset: asset.toUpperCase(),
+                amount: String(amount),
+                kindType,
+                clientTranId
+            }, true);
+
+            if (!response.success) {
+                return {
+                    success: false,
+                    error: response.error
+                };
             }
 
+            return {
+                success: true,
+                transfer: {
+                    tranId: response.data.tranId,
+                    clientTranId,
+                    asset: asset.toUpperCase(),
+                    amount: String(amount),
+                    from: fromLower,
+                    to: toLower,
+                    status: response.data.status
+                },
+                timestamp: new Date().toISOString()
+            };
+
         } catch (error) {
             return handleError(error);
         }
@@ -775,14 +3283,7 @@ class ToolsAPI {
             // Validate parameters
             validateNetwork(network, ['ethereum', 'arbitrum', 'bnb']);
 
-            // Map network to chain ID
-            const chainIdMap = {
-                ethereum: '1',
-                arbitrum: '42161',
-                bnb: '56'
-            };
-
-            const chainId = chainIdMap[network.toLowerCase()];
+            const chainId = getChainId(network);
 
             const response = await this._asterApiRequest('/api/v1/aster/withdraw/estimateFee', 'GET', {
                 chainId,
@@ -961,6 +3462,102 @@ class ToolsAPI {
         }
     }
 
+    /**
+     * Wait for a withdrawal to be confirmed on the destination chain
+     * Starts tracking the withdrawal if it is not tracked yet, from its tx hash in the activity log;
+     * tracking continues in the background after a timeout.
+     * @param {string} withdrawId - Withdrawal id returned by withdraw()
+     * @param {number} timeoutSeconds - Maximum time to wait (default 120, max 900)
+     * @param {number} confirmations - Optional: Confirmations to wait for (default per network)
+     * @returns {Object} Tracking status, tx hash, confirmations and explorer link
+     */
+    async waitForWithdrawal(withdrawId, timeoutSeconds = WITHDRAW_WAIT_DEFAULT_SECONDS, confirmations = null) {
+        try {
+            if (!withdrawId) {
+                throw new Error('withdrawId is required');
+            }
+
+            const requested = timeoutSeconds !== null && timeoutSeconds !== undefined ? parseInt(timeoutSeconds) : WITHDRAW_WAIT_DEFAULT_SECONDS;
+            const timeout = Math.min(Math.max(isNaN(requested) ? WITHDRAW_WAIT_DEFAULT_SECONDS : requested, 0), WITHDRAW_WAIT_MAX_SECONDS);
+            const required = confirmations !== null && confirmations !== undefined ? parseInt(confirmations) : null;
+
+            if (required !== null && !(required >= 1)) {
+                throw new Error('confirmations must be a positive integer');
+            }
+
+            if (!this.withdrawals.get(withdrawId)) {
+                // Withdrawals made here are in the activity log with network and tx hash
+                const recorded = listActivity({ types: ['withdrawal'] })
+                    .find(entry => String(entry.withdrawId) === String(withdrawId));
+
+                if (!recorded || !recorded.txHash) {
+                    return {
+                        success: false,
+                        error: `No tx hash known for withdrawal ${withdrawId}. Only withdrawals made with the withdraw tool whose response included a hash can be tracked (the exchange has no withdrawal status endpoint).`
+                    };
+                }
+
+                this.withdrawals.track({
+                    id: withdrawId,
+                    network: recorded.network,
+                    txHash: recorded.txHash,
+                    asset: recorded.asset,
+                    amount: recorded.amount,
+                    to: recorded.to
+                });
+            }
+
+            this.withdrawals.track({ id: withdrawId, requiredConfirmations: required });
+            const { withdrawal, timedOut } = await this.withdrawals.wait(withdrawId, timeout * 1000);
+
+            return {
+                success: true,
+                timedOut,
+                withdrawal: { ...withdrawal },
+                ...(timedOut && {
+                    message: withdrawal.stage === 'pending'
+                        ? 'The transaction is not in a block yet; still tracking in the background'
+                        : `Waiting for ${withdrawal.requiredConfirmations} confirmations (${withdrawal.confirmations} so far); still tracking in the background`
+                }),
+                timestamp: new Date().toISOString()
+            };
+
+        } catch (error) {
+            return handleError(error);
+        }
+    }
+
+    /**
+     * Look up a transaction receipt and its confirmations on an EVM network
+     * @param {string} network - Network name (ethereum, arbitrum, bnb)
+     * @param {string} txHash - Transaction hash
+     * @returns {Promise<Object>} {found, status: success|reverted, blockNumber, confirmations}
+     * @private
+     */
+    async _getEvmTransactionStatus(network, txHash) {
+        const provider = new ethers.JsonRpcProvider(getNetworkRpcUrl(network), undefined, {
+            staticNetwork: true,
+            batchMaxCount: 1
+        });
+
+        try {
+            const receipt = await provider.getTransactionReceipt(txHash);
+
+            if (!receipt) {
+                return { found: false };
+            }
+
+            return {
+                found: true,
+                status: receipt.status === 1 ? 'success' : 'reverted',
+                blockNumber: receipt.blockNumber,
+                confirmations: await receipt.confirmations()
+            };
+        } finally {
+            provider.destroy();
+        }
+    }
+
     /**
      * Withdraw assets from Aster Exchange to external wallet
      * @param {string} network - Network name (ethereum, arbitrum, bnb)
@@ -991,14 +3588,7 @@ class ToolsAPI {
                 }
             }
 
-            // Map network to chain ID
-            const chainIdMap = {
-                ethereum: '1',
-                arbitrum: '42161',
-                bnb: '56'
-            };
-
-            const chainId = chainIdMap[networkLower];
+            const chainId = getChainId(networkLower);
 
             // Get private key for signing (network-specific with fallback)
             const signingKey = getNetworkPrivateKey(networkLower, privateKey);
@@ -1039,8 +3629,9 @@ class ToolsAPI {
             }
 
             // Generate timestamp ONCE and use for both nonce and API timestamp
-            // This ensures nonce and timestamp are synchronized
-            const timestamp = Date.now();
+            // This ensures nonce and timestamp are synchronized (corrected to exchange server time)
+            await this.timeSync.ensureSynced();
+            const timestamp = this.timeSync.now();
             const nonce = timestamp * 1000;  // nonce in microseconds
 
             // Convert amount to string to ensure it's not a number
@@ -1056,6 +3647,7 @@ class ToolsAPI {
                 console.error('Fee:', feeStr);
                 console.error('Chain ID:', chainId);
                 console.error('Timestamp (ms):', timestamp);
+                console.error('Clock offset (ms):', this.timeSync.getOffset());
                 console.error('Nonce (μs):', nonce);
             }
 
@@ -1093,30 +3685,67 @@ class ToolsAPI {
                 console.error('======================\n');
             }
 
+            // Withdrawals debit the spot balance; report the delta once the stream sees it
+            const tracker = this.userStream.track({ assets: [tokenUpper] });
+
             // Execute withdrawal
             const response = await this._asterApiRequest('/api/v1/aster/user-withdraw', 'POST', withdrawParams, true);
 
             if (!response.success) {
+                tracker.cancel();
                 return {
                     success: false,
                     error: response.error
                 };
             }
 
+            const withdrawal = {
+                id: response.data.withdrawId,
+                network: network,
+                chainId: chainId,
+                token: tokenUpper,
+                amount: amount,
+                fee: fee,
+                from: receiver,
+                to: destination,
+                status: response.data.status || 'pending',
+                txHash: response.data.hash || null
+            };
+
+            recordActivity('withdrawal', {
+                network: networkLower,
+                chainId,
+                asset: tokenUpper,
+                amount: String(amount),
+                fee: String(fee),
+                from: receiver,
+                to: destination,
+                withdrawId: withdrawal.id || null,
+                status: withdrawal.status,
+                txHash: withdrawal.txHash,
+                explorerUrl: getExplorerTxUrl(networkLower, withdrawal.txHash)
+            });
+
+            // Follow the transaction in the background until it is confirmed on chain
+            const trackable = !!withdrawal.id && !!withdrawal.txHash;
+            if (trackable) {
+                this.withdrawals.track({
+                    id: withdrawal.id,
+                    network: networkLower,
+                    asset: tokenUpper,
+                    amount: String(amount),
+                    to: destination,
+                    txHash: withdrawal.txHash
+                });
+            }
+
             return {
                 success: true,
-                withdrawal: {
-                    id: response.data.id || response.data.withdrawId,
-                    network: network,
-                    chainId: chainId,
-                    token: tokenUpper,
-                    amount: amount,
-                    fee: fee,
-                    from: receiver,
-                    to: destination,
-                    status: response.data.status || 'pending',
-                    txHash: response.data.txHash || response.data.txId || null
-                },
+                withdrawal,
+                tracking: trackable
+                    ? `Tracking until confirmed on ${networkLower}; use wait_for_withdrawal with withdrawId ${withdrawal.id} for the final status`
+                    : 'The exchange returned no tx hash, so this withdrawal cannot be tracked on chain',
+                execution: await tracker.result(WITHDRAW_BALANCE_WAIT_MS),
                 timestamp: new Date().toISOString()
             };
 
@@ -1125,6 +3754,26 @@ class ToolsAPI {
         }
     }
 
+    /**
+     * Record a confirmed deposit in the activity log
+     * @param {Object} deposit - Deposit details from a deposit result
+     * @param {string} from - Sending wallet address
+     * @private
+     */
+    _recordDeposit(deposit, from) {
+        recordActivity('deposit', {
+            network: deposit.network.toLowerCase(),
+            asset: deposit.token.toUpperCase(),
+            tokenAddress: deposit.tokenAddress,
+            amount: String(deposit.amount),
+            targetAccount: deposit.targetAccount,
+            from,
+            txHash: deposit.txHash,
+            explorerUrl: deposit.explorerUrl,
+            status: deposit.status
+        });
+    }
+
     /**
      * Internal: Deposit SOL to AsterDEX on Solana
      * @param {string} token - Token symbol (currently only SOL supported)
@@ -1206,12 +3855,13 @@ class ToolsAPI {
 
             const slot = txDetails ? txDetails.slot : null;
 
-            return {
+            const result = {
                 success: true,
                 deposit: {
                     network: 'Solana',
                     token: tokenConfig.symbol,
                     amount: amount,
+                    targetAccount: 'spot',
                     txHash: signature,
                     slot: slot,
                     status: 'confirmed',
@@ -1220,6 +3870,9 @@ class ToolsAPI {
                 timestamp: new Date().toISOString()
             };
 
+            this._recordDeposit(result.deposit, keypair.publicKey.toBase58());
+            return result;
+
         } catch (error) {
             console.error('Solana deposit error:', error);
             return handleError(error);
@@ -0,0 +1,576 @@
+/**
+ * User data stream
+ *
+ * Manages the listenKey (create, keepalive, close) and consumes the user
+ * data WebSocket to keep order states and balances in sync in memory.
+ * Tools use it to report the actual fill and balance delta of an action
+ * instead of a single REST snapshot, and fill/cancel events are emitted
+ * so they can be forwarded to MCP clients.
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+// listenKeys expire after 60 minutes without a keepalive
+const KEEPALIVE_INTERVAL_MS = 30 * 60 * 1000;
+
+// Reconnect backoff: 1s doubling up to 30s
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+// How long tools wait for stream events by default
+const DEFAULT_TRACK_TIMEOUT_MS = 3000;
+
+// After an order is final, wait this long for the matching balance update
+const BALANCE_GRACE_MS = 750;
+
+// Finished orders kept in memory
+const MAX_CLOSED_ORDERS = 500;
+
+const TERMINAL_STATUSES = ['FILLED', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+// Execution types forwarded to listeners as order events
+const NOTIFY_EXECUTION_TYPES = ['TRADE', 'CANCELED', 'EXPIRED', 'REJECTED'];
+
+/**
+ * Difference of two balances without float noise
+ * @param {number} after - Balance after
+ * @param {number} before - Balance before
+ * @returns {number} Delta
+ */
+function balanceDelta(after, before) {
+    return parseFloat((after - before).toFixed(12));
+}
+
+class UserDataStream extends EventEmitter {
+    /**
+     * @param {Object} options - Options
+     * @param {Function} options.request - Async (endpoint, method, params, signed) => API response, e.g. ToolsAPI._asterApiRequest
+     * @param {string} options.wsBaseUrl - WebSocket base URL (e.g., "wss://sstream.asterdex.com")
+     */
+    constructor(options = {}) {
+        super();
+        this.request = options.request;
+        this.wsBaseUrl = (options.wsBaseUrl || 'wss://sstream.asterdex.com').replace(/\/+$/, '');
+
+        this.listenKey = null;
+        this.ws = null;
+        this.connected = false;
+        this.started = false;
+        this.balances = new Map();
+        this.orders = new Map();
+        this.trackers = new Set();
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.lastEventAt = null;
+        this.lastError = null;
+    }
+
+    /**
+     * Create a listenKey, load the current balances and open orders, and connect
+     * @returns {Promise<boolean>} Whether the stream started
+     */
+    async start() {
+        if (this.started) {
+            return true;
+        }
+
+        try {
+            this.started = true;
+            await this._createListenKey();
+            await this._loadSnapshot();
+            this._connect();
+
+            this.keepAliveTimer = setInterval(() => this._keepAlive(), KEEPALIVE_INTERVAL_MS);
+            this.keepAliveTimer.unref();
+
+            return true;
+        } catch (error) {
+            this.started = false;
+            this.lastError = error.message;
+            console.error('User data stream failed to start:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Close the connection and the listenKey
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        this.started = false;
+        clearInterval(this.keepAliveTimer);
+        clearTimeout(this.reconnectTimer);
+        this.keepAliveTimer = null;
+        this.reconnectTimer = null;
+
+        if (this.ws) {
+            this.ws.terminate();
+            this.ws = null;
+        }
+        this.connected = false;
+
+        if (this.listenKey) {
+            await this.request('/api/v1/listenKey', 'DELETE', { listenKey: this.listenKey }, false);
+            this.listenKey = null;
+        }
+    }
+
+    /**
+     * Whether balances and orders are currently being kept in sync
+     * @returns {boolean} True while connected
+     */
+    isActive() {
+        return this.started && this.connected;
+    }
+
+    /**
+     * Get the synced balance of an asset
+     * @param {string} asset - Asset symbol (e.g., "USDT")
+     * @returns {Object|null} {asset, free, locked} or null if unknown
+     */
+    getBalance(asset) {
+        const balance = this.balances.get(asset.toUpperCase());
+        return balance ? { asset: asset.toUpperCase(), ...balance } : null;
+    }
+
+    /**
+     * Get a synced order by orderId or clientOrderId
+     * @param {number|string} id - Exchange orderId or clientOrderId
+     * @returns {Object|null} Order state
+     */
+    getOrder(id) {
+        if (this.orders.has(String(id))) {
+            return this.orders.get(String(id));
+        }
+        for (const order of this.orders.values()) {
+            if (order.clientOrderId === id) {
+                return order;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Stream status for diagnostics
+     * @returns {Object} Connection state and cache sizes
+     */
+    getStatus() {
+        return {
+            started: this.started,
+            connected: this.connected,
+            trackedAssets: this.balances.size,
+            openOrders: [...this.orders.values()].filter(o => !TERMINAL_STATUSES.includes(o.status)).length,
+            lastEventAt: this.lastEventAt ? new Date(this.lastEventAt).toISOString() : null,
+            reconnectAttempts: this.reconnectAttempts,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * Start collecting events for an action before it is sent
+     * Events can arrive before the REST response, so create the tracker first.
+     * @param {Object} options - What to track
+     * @param {string} options.clientOrderId - Optional: Wait for this order to reach a final status
+     * @param {string[]} options.assets - Assets to report balance deltas for
+     * @returns {Object} Tracker with result(timeoutMs) and cancel()
+     */
+    track(options = {}) {
+        if (!this.isActive()) {
+            return {
+                result: async () => null,
+                cancel: () => {}
+            };
+        }
+
+        const clientOrderId = options.clientOrderId || null;
+        const assets = (options.assets || []).map(a => a.toUpperCase());
+        const before = {};
+        assets.forEach(asset => {
+            const balance = this.balances.get(asset);
+            before[asset] = balance ? balance.free + balance.locked : 0;
+        });
+
+        const tracker = {
+            clientOrderId,
+            assets,
+            before,
+            order: null,
+            fills: [],
+            orderDone: !clientOrderId,
+            balanceSeen: false,
+            graceExpired: false,
+            finish: null
+        };
+
+        const finish = complete => {
+            this.trackers.delete(tracker);
+            clearTimeout(tracker.timer);
+            clearTimeout(tracker.graceTimer);
+
+            const delta = {};
+            assets.forEach(asset => {
+                const balance = this.balances.get(asset);
+                const after = balance ? balance.free + balance.locked : 0;
+                delta[asset] = balanceDelta(after, before[asset]);
+            });
+
+            return {
+                complete,
+                order: tracker.order,
+                fills: tracker.fills,
+                balanceDelta: delta
+            };
+        };
+
+        this.trackers.add(tracker);
+
+        return {
+            result: (timeoutMs = DEFAULT_TRACK_TIMEOUT_MS) => new Promise(resolve => {
+                tracker.finish = complete => resolve(finish(complete));
+                this._checkTracker(tracker);
+                if (this.trackers.has(tracker)) {
+                    tracker.timer = setTimeout(() => resolve(finish(false)), timeoutMs);
+                }
+            }),
+            cancel: () => {
+                this.trackers.delete(tracker);
+                clearTimeout(tracker.timer);
+                clearTimeout(tracker.graceTimer);
+            }
+        };
+    }
+
+    /**
+     * Create a new listenKey
+     * @private
+     */
+    async _createListenKey() {
+        const response = await this.request('/api/v1/listenKey', 'POST', {}, false);
+
+        if (!response.success) {
+            const message = typeof response.error === 'object' ? response.error.message : response.error;
+            throw new Error(`Failed to create listenKey: ${message}`);
+        }
+
+        this.listenKey = response.data.listenKey;
+    }
+
+    /**
+     * Extend the listenKey validity; recreate it if the exchange no longer knows it
+     * @private
+     */
+    async _keepAlive() {
+        if (!this.listenKey) {
+            return;
+        }
+
+        const response = await this.request('/api/v1/listenKey', 'PUT', { listenKey: this.listenKey }, false);
+
+        if (!response.success) {
+            console.error('listenKey keepalive failed, recreating:', response.error.message || response.error);
+            await this._renewListenKey();
+        }
+    }
+
+    /**
+     * Replace an expired listenKey and reconnect with it
+     * @private
+     */
+    async _renewListenKey() {
+        try {
+            await this._createListenKey();
+        } catch (error) {
+            this.lastError = error.message;
+            console.error(error.message);
+        }
+
+        // The close handler reconnects with the new key
+        if (this.ws) {
+            this.ws.terminate();
+        } else {
+            this._scheduleReconnect();
+        }
+    }
+
+    /**
+     * Load balances and open orders over REST (on start and after reconnects)
+     * @private
+     */
+    async _loadSnapshot() {
+        const [account, openOrders] = await Promise.all([
+            this.request('/api/v1/account', 'GET', {}, true),
+            this.request('/api/v1/openOrders', 'GET', {}, true)
+        ]);
+
+        if (!account.success) {
+            const message = typeof account.error === 'object' ? account.error.message : account.error;
+            throw new Error(`Failed to load account snapshot: ${message}`);
+        }
+
+        this.balances = new Map(account.data.balances.map(b => [
+            b.asset,
+            { free: parseFloat(b.free), locked: parseFloat(b.locked) }
+        ]));
+
+        if (!openOrders.success) {
+            const message = typeof openOrders.error === 'object' ? openOrders.error.message : openOrders.error;
+            throw new Error(`Failed to load open orders snapshot: ${message}`);
+        }
+
+        // Rebuild from scratch: orders that closed while disconnected must not stay open
+        this.orders = new Map(openOrders.data.map(o => [
+            String(o.orderId),
+            {
+                orderId: o.orderId,
+                clientOrderId: o.clientOrderId,
+                symbol: o.symbol,
+                side: o.side,
+                type: o.type,
+                status: o.status,
+                price: o.price,
+                origQty: o.origQty,
+                executedQty: o.executedQty,
+                cumQuote: o.cumQuote || o.cummulativeQuoteQty,
+                updateTime: o.updateTime
+            }
+        ]));
+    }
+
+    /**
+     * Connect to the user data WebSocket
+     * @private
+     */
+    _connect() {
+        if (this.ws || !this.started || !this.listenKey) {
+            return;
+        }
+
+        const ws = new WebSocket(`${this.wsBaseUrl}/ws/${this.listenKey}`);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            // Events may have been missed while disconnected
+            const resync = this.reconnectAttempts > 0;
+            this.connected = true;
+            this.reconnectAttempts = 0;
+            this.lastError = null;
+            console.error('User data stream connected');
+
+            if (resync) {
+                this._loadSnapshot().catch(error => {
+                    this.lastError = error.message;
+                    console.error('User data resync failed:', error.message);
+                });
+            }
+        });
+
+        ws.on('message', raw => this._handleMessage(raw));
+
+        ws.on('error', error => {
+            this.lastError = error.message;
+            console.error('User data stream error:', error.message);
+        });
+
+        ws.on('close', () => {
+            this.ws = null;
+            this.connected = false;
+            this._scheduleReconnect();
+        });
+    }
+
+    /**
+     * Reconnect with exponential backoff and jitter
+     * @private
+     */
+    _scheduleReconnect() {
+        if (!this.started || this.reconnectTimer) {
+            return;
+        }
+
+        const backoff = Math.min(RECONNECT_BASE_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_MS);
+        const delay = Math.round(backoff * (0.5 + Math.random() / 2));
+        this.reconnectAttempts++;
+
+        console.error(`User data stream reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this._connect();
+        }, delay);
+        this.reconnectTimer.unref();
+    }
+
+    /**
+     * Apply a user data event
+     * @param {Buffer|string} raw - Raw message
+     * @private
+     */
+    _handleMessage(raw) {
+        let event;
+        try {
+            event = JSON.parse(raw.toString());
+        } catch (error) {
+            return;
+        }
+
+        this.lastEventAt = Date.now();
+
+        switch (event.e) {
+            case 'executionReport':
+                this._applyExecution(event);
+                break;
+
+            case 'outboundAccountPosition':
+                // Full free/locked values for the assets that changed
+                for (const b of event.B || []) {
+                    this._setBalance(b.a, parseFloat(b.f), parseFloat(b.l));
+                }
+                break;
+
+            case 'balanceUpdate': {
+                // Deposits, withdrawals and transfers: delta to the free balance
+                const current = this.balances.get(event.a) || { free: 0, locked: 0 };
+                this._setBalance(event.a, current.free + parseFloat(event.d), current.locked);
+                break;
+            }
+
+            case 'listenKeyExpired':
+                this._renewListenKey();
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Update an order from an executionReport
+     * @param {Object} event - Raw executionReport
+     * @private
+     */
+    _applyExecution(event) {
+        // Cancels carry the cancel request id in c and the original id in C
+        const clientOrderId = event.x === 'CANCELED' && event.C ? event.C : event.c;
+
+        const order = {
+            orderId: event.i,
+            clientOrderId,
+            symbol: event.s,
+            side: event.S,
+            type: event.o,
+            timeInForce: event.f,
+            status: event.X,
+            price: event.p,
+            origQty: event.q,
+            executedQty: event.z,
+            cumQuote: event.Z,
+            avgPrice: parseFloat(event.z) > 0 ? String(parseFloat(event.Z) / parseFloat(event.z)) : null,
+            updateTime: event.T
+        };
+
+        this.orders.set(String(event.i), order);
+        this._pruneOrders();
+
+        const fill = event.x === 'TRADE'
+            ? {
+                tradeId: event.t,
+                price: event.L,
+                qty: event.l,
+                commission: event.n,
+                commissionAsset: event.N,
+                time: event.T
+            }
+            : null;
+
+        for (const tracker of this.trackers) {
+            if (tracker.clientOrderId !== clientOrderId) {
+                continue;
+            }
+            tracker.order = order;
+            if (fill) {
+                tracker.fills.push(fill);
+            }
+            if (TERMINAL_STATUSES.includes(order.status)) {
+                tracker.orderDone = true;
+                tracker.balanceSeen = false;
+                clearTimeout(tracker.graceTimer);
+                tracker.graceTimer = setTimeout(() => {
+                    tracker.graceExpired = true;
+                    this._checkTracker(tracker);
+                }, BALANCE_GRACE_MS);
+            }
+        }
+
+        if (NOTIFY_EXECUTION_TYPES.includes(event.x)) {
+            this.emit('order', {
+                event: event.x === 'TRADE' ? 'fill' : event.x.toLowerCase(),
+                ...order,
+                lastFill: fill,
+                rejectReason: event.r && event.r !== 'NONE' ? event.r : undefined
+            });
+        }
+    }
+
+    /**
+     * Set an asset balance and notify trackers and listeners
+     * @param {string} asset - Asset symbol
+     * @param {number} free - Free balance
+     * @param {number} locked - Locked balance
+     * @private
+     */
+    _setBalance(asset, free, locked) {
+        const previous = this.balances.get(asset) || { free: 0, locked: 0 };
+        this.balances.set(asset, { free, locked });
+
+        for (const tracker of this.trackers) {
+            if (tracker.assets.includes(asset)) {
+                tracker.balanceSeen = true;
+                this._checkTracker(tracker);
+            }
+        }
+
+        this.emit('balance', {
+            asset,
+            free,
+            locked,
+            delta: balanceDelta(free + locked, previous.free + previous.locked)
+        });
+    }
+
+    /**
+     * Resolve a tracker once its order is final and a balance update followed
+     * (or the grace period after the final order event ran out)
+     * @param {Object} tracker - Tracker state
+     * @private
+     */
+    _checkTracker(tracker) {
+        if (!this.trackers.has(tracker) || !tracker.finish) {
+            return;
+        }
+
+        const balancesDone = tracker.assets.length === 0 || tracker.balanceSeen || tracker.graceExpired;
+        if (tracker.orderDone && balancesDone) {
+            tracker.finish(true);
+        }
+    }
+
+    /**
+     * Drop the oldest finished orders beyond MAX_CLOSED_ORDERS
+     * @private
+     */
+    _pruneOrders() {
+        const closed = [...this.orders.entries()].filter(([, o]) => TERMINAL_STATUSES.includes(o.status));
+        const excess = closed.length - MAX_CLOSED_ORDERS;
+
+        for (let i = 0; i < excess; i++) {
+            this.orders.delete(closed[i][0]);
+        }
+    }
+}
+
+module.exports = {
+    UserDataStream,
+    DEFAULT_TRACK_TIMEOUT_MS
+};
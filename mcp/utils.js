@@ -25,6 +25,19 @@ function handleError(error) {
     };
 }
 
+/**
+ * Readable message for an error returned in a result ({success: false, error})
+ * API errors are objects ({code, message, httpStatus}), handleError results are strings.
+ * @param {Object|string} error - Error from a failed result
+ * @returns {string} Error message
+ */
+function formatApiError(error) {
+    if (error && typeof error === 'object') {
+        return error.message || JSON.stringify(error);
+    }
+    return String(error);
+}
+
 /**
  * Validate string input
  * @param {string} input - String to validate
@@ -211,7 +224,9 @@ function buildQueryString(params) {
 
 /**
  * Validate trading symbol format
- * @param {string} symbol - Trading pair symbol (e.g., "BTCUSDT")
+ * Only checks the shape of the input; whether the symbol is listed is checked
+ * against exchangeInfo by the SymbolRegistry.
+ * @param {string} symbol - Trading pair symbol (e.g., "BTCUSDT", "BTC/USDT", "btc-usdt")
  * @returns {boolean} True if valid
  * @throws {Error} If validation fails
  */
@@ -220,26 +235,24 @@ function validateTradingSymbol(symbol) {
         throw new Error('Symbol must be a non-empty string');
     }
 
-    // Convert to uppercase for validation
-    const upperSymbol = symbol.toUpperCase();
-
-    // Validate format: uppercase letters only, 6-12 characters
-    const symbolPattern = /^[A-Z]{6,12}$/;
-    if (!symbolPattern.test(upperSymbol)) {
-        throw new Error('Invalid trading symbol format. Expected format: BTCUSDT (6-12 uppercase letters)');
-    }
-
-    // Additional check: symbol should end with common quote assets (USDT, USDC, BTC, ETH, BNB, SOL)
-    const quoteAssets = ['USDT', 'USDC', 'BTC', 'ETH', 'BNB', 'SOL', 'BUSD'];
-    const hasValidQuote = quoteAssets.some(quote => upperSymbol.endsWith(quote));
-
-    if (!hasValidQuote) {
-        throw new Error(`Invalid trading symbol. Symbol must end with one of: ${quoteAssets.join(', ')}`);
+    // Letters and digits, optionally split into base/quote by "/", "-", "_", ":" or a space
+    const symbolPattern = /^[A-Z0-9]{1,20}([\/\-_:\s][A-Z0-9]{1,20})?$/i;
+    if (!symbolPattern.test(symbol.trim())) {
+        throw new Error('Invalid trading symbol format. Expected e.g. BTCUSDT, BTC/USDT or btc-usdt');
     }
 
     return true;
 }
 
+/**
+ * Generate a client order id for new orders
+ * Format: "amcp-" + base36 timestamp + random hex (max 36 chars, as required by the API)
+ * @returns {string} Client order id
+ */
+function generateClientOrderId() {
+    return `amcp-${Date.now().toString(36)}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
 /**
  * Validate amount (for orders, balances, etc.)
  * @param {string|number} amount - Amount to validate
@@ -275,6 +288,30 @@ function validateNetwork(network, allowedNetworks = null) {
     return true;
 }
 
+/**
+ * Parse a timestamp parameter given as milliseconds or a date string
+ * @param {string|number} value - Epoch milliseconds (e.g., 1700000000000) or date string (e.g., "2024-01-31")
+ * @param {string} fieldName - Name of field for error messages
+ * @returns {number|null} Epoch milliseconds, or null if value is empty
+ * @throws {Error} If value cannot be parsed
+ */
+function parseTimestamp(value, fieldName = 'Timestamp') {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (typeof value === 'number' || /^\d+$/.test(String(value))) {
+        return Number(value);
+    }
+
+    const parsed = Date.parse(value);
+    if (isNaN(parsed)) {
+        throw new Error(`${fieldName} must be epoch milliseconds or a valid date string`);
+    }
+
+    return parsed;
+}
+
 /**
  * Format balance object for consistent output
  * @param {Object} balance - Balance object with free and locked properties
@@ -489,6 +526,7 @@ async function generateEIP712Signature(params, privateKey) {
  * @param {string} options.apiKey - API key for authentication
  * @param {string} options.apiSecret - API secret for signature
  * @param {number} options.recvWindow - Receive window for signed requests
+ * @param {number} options.timeOffset - Offset in ms added to the local clock for signed timestamps (exchange server time - local time)
  * @returns {Promise<Object>} API response with {success, data, headers} or {success, error}
  */
 async function makeApiRequest(options) {
@@ -500,7 +538,8 @@ async function makeApiRequest(options) {
         signed = false,
         apiKey = '',
         apiSecret = '',
-        recvWindow = 5000
+        recvWindow = 5000,
+        timeOffset = 0
     } = options;
 
     try {
@@ -516,7 +555,7 @@ async function makeApiRequest(options) {
         if (signed) {
             // Only add timestamp if not already provided (e.g., for withdraw)
             if (!requestParams.timestamp) {
-                requestParams.timestamp = Date.now();
+                requestParams.timestamp = Date.now() + timeOffset;
             }
             if (!requestParams.recvWindow) {
                 requestParams.recvWindow = recvWindow;
@@ -606,6 +645,7 @@ async function makeApiRequest(options) {
 module.exports = {
     // Error handling
     handleError,
+    formatApiError,
 
     // Validation
     validateString,
@@ -613,6 +653,7 @@ module.exports = {
     validateTradingSymbol,
     validateAmount,
     validateNetwork,
+    parseTimestamp,
 
     // Formatting
     formatResponse,
@@ -629,6 +670,7 @@ module.exports = {
     // Cryptographic and API helpers
     generateHmacSignature,
     buildQueryString,
+    generateClientOrderId,
 
     // Wallet helpers
     getWalletPrivateKey,
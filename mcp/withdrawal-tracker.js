@@ -0,0 +1,336 @@
+/**
+ * Withdrawal tracking
+ *
+ * Follows a withdrawal on the destination chain: polls the chain's RPC for
+ * the tx hash returned by the exchange until the transaction has enough
+ * confirmations. Aster has no withdrawal status endpoint, so withdrawals
+ * without a hash cannot be tracked. Tracked withdrawals are persisted in the
+ * data directory so tracking resumes after a restart.
+ */
+
+const EventEmitter = require('events');
+const { writeJson, readJsonOrQuarantine } = require('./storage');
+const { getExplorerTxUrl } = require('./deposit-contracts');
+
+const WITHDRAWALS_FILE = 'withdrawals.json';
+
+// Background poll interval
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+
+// Poll interval while a caller is waiting on a withdrawal
+const WAIT_POLL_INTERVAL_MS = 5 * 1000;
+
+// Withdrawals not finished after this long stop being tracked
+const MAX_TRACKING_MS = 24 * 60 * 60 * 1000;
+
+// Confirmations before a withdrawal counts as final, per destination network
+const REQUIRED_CONFIRMATIONS = {
+    ethereum: 12,
+    arbitrum: 1,
+    bnb: 15
+};
+
+// Finished withdrawals kept in the file
+const MAX_FINISHED = 100;
+
+const FINAL_STATUSES = ['confirmed', 'failed', 'expired'];
+
+class WithdrawalTracker extends EventEmitter {
+    /**
+     * @param {Object} api - Chain access
+     * @param {Function} api.getTransactionStatus - Async (network, txHash) => {found, status: success|reverted, blockNumber, confirmations}
+     * @param {Object} options - Options
+     * @param {number} options.pollIntervalMs - Background poll interval in ms (0 disables background tracking)
+     */
+    constructor(api, options = {}) {
+        super();
+        this.api = api;
+        this.pollIntervalMs = options.pollIntervalMs !== undefined ? options.pollIntervalMs : DEFAULT_POLL_INTERVAL_MS;
+        this.withdrawals = this._load();
+        this.checks = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Start tracking a withdrawal (no-op if it is already tracked)
+     * @param {Object} spec - Withdrawal
+     * @param {string} spec.id - Exchange withdrawal id
+     * @param {string} spec.network - Destination network
+     * @param {string} spec.txHash - Tx hash returned by the exchange
+     * @param {string} spec.asset - Optional: Asset
+     * @param {string} spec.amount - Optional: Amount
+     * @param {string} spec.to - Optional: Destination address
+     * @param {number} spec.requiredConfirmations - Optional: Confirmations to wait for
+     * @returns {Object} Tracked withdrawal
+     * @throws {Error} If a new withdrawal has no network or tx hash
+     */
+    track(spec) {
+        const id = String(spec.id);
+        const existing = this.withdrawals.find(w => w.id === id);
+
+        if (existing) {
+            if (spec.requiredConfirmations) {
+                existing.requiredConfirmations = spec.requiredConfirmations;
+            }
+            return existing;
+        }
+
+        if (!spec.network || !spec.txHash) {
+            throw new Error(`Withdrawal ${id} has no ${spec.network ? 'tx hash' : 'network'} to follow on chain`);
+        }
+
+        const network = spec.network.toLowerCase();
+        const now = new Date().toISOString();
+        const withdrawal = {
+            id,
+            network,
+            asset: spec.asset || null,
+            amount: spec.amount !== undefined ? String(spec.amount) : null,
+            to: spec.to || null,
+            status: 'tracking',
+            stage: 'pending',
+            txHash: spec.txHash,
+            explorerUrl: getExplorerTxUrl(network, spec.txHash),
+            blockNumber: null,
+            confirmations: 0,
+            requiredConfirmations: spec.requiredConfirmations || REQUIRED_CONFIRMATIONS[network] || 1,
+            error: null,
+            reason: null,
+            startedAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+
+        this.withdrawals.push(withdrawal);
+        this._save();
+        this.start();
+
+        return withdrawal;
+    }
+
+    /**
+     * Get a tracked withdrawal
+     * @param {string} id - Withdrawal id
+     * @returns {Object|null} Tracked withdrawal, or null if not tracked
+     */
+    get(id) {
+        return this.withdrawals.find(w => w.id === String(id)) || null;
+    }
+
+    /**
+     * List tracked withdrawals
+     * @param {string} status - Optional: tracking, confirmed, failed or expired
+     * @returns {Array<Object>} Withdrawals
+     */
+    list(status = null) {
+        return status ? this.withdrawals.filter(w => w.status === status) : [...this.withdrawals];
+    }
+
+    /**
+     * Poll until a withdrawal is final or the timeout passes
+     * Tracking continues in the background after a timeout.
+     * @param {string} id - Withdrawal id (must be tracked)
+     * @param {number} timeoutMs - Maximum time to wait
+     * @returns {Promise<Object>} {withdrawal, timedOut}
+     */
+    async wait(id, timeoutMs) {
+        const withdrawal = this.get(id);
+        if (!withdrawal) {
+            throw new Error(`Withdrawal ${id} is not tracked`);
+        }
+
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            await this.check(withdrawal);
+
+            if (FINAL_STATUSES.includes(withdrawal.status)) {
+                return { withdrawal, timedOut: false };
+            }
+
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return { withdrawal, timedOut: true };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, Math.min(WAIT_POLL_INTERVAL_MS, remaining)));
+        }
+    }
+
+    /**
+     * Start background tracking (does not keep the process alive)
+     */
+    start() {
+        if (this.timer || !this.pollIntervalMs || !this.withdrawals.some(w => w.status === 'tracking')) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.checkAll(), this.pollIntervalMs);
+        this.timer.unref();
+        this.checkAll();
+    }
+
+    /**
+     * Stop background tracking
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Check every withdrawal still being tracked
+     * @returns {Promise<void>}
+     */
+    async checkAll() {
+        for (const withdrawal of this.withdrawals) {
+            if (withdrawal.status === 'tracking') {
+                await this.check(withdrawal);
+            }
+        }
+
+        if (!this.withdrawals.some(w => w.status === 'tracking')) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Poll the chain once for a withdrawal
+     * Concurrent calls for the same withdrawal share one check.
+     * @param {Object} withdrawal - Tracked withdrawal
+     * @returns {Promise<Object>} Updated withdrawal
+     */
+    async check(withdrawal) {
+        if (withdrawal.status !== 'tracking') {
+            return withdrawal;
+        }
+
+        if (!this.checks.has(withdrawal.id)) {
+            const pending = this._check(withdrawal).finally(() => this.checks.delete(withdrawal.id));
+            this.checks.set(withdrawal.id, pending);
+        }
+
+        await this.checks.get(withdrawal.id);
+        return withdrawal;
+    }
+
+    /**
+     * One tracking step: look up the transaction and its confirmations
+     * @param {Object} withdrawal - Tracked withdrawal
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _check(withdrawal) {
+        const stateBefore = `${withdrawal.status}/${withdrawal.stage}`;
+        const confirmationsBefore = withdrawal.confirmations;
+
+        try {
+            await this._checkChain(withdrawal);
+            withdrawal.error = null;
+        } catch (error) {
+            // Transient RPC errors are retried on the next poll
+            withdrawal.error = error.message;
+        }
+
+        if (withdrawal.status === 'tracking' && Date.now() - Date.parse(withdrawal.startedAt) > MAX_TRACKING_MS) {
+            this._finish(withdrawal, 'expired', withdrawal.stage === 'pending'
+                ? 'Transaction not found on chain within 24 hours'
+                : 'Not confirmed within 24 hours of tracking');
+        }
+
+        withdrawal.updatedAt = new Date().toISOString();
+
+        const stateChanged = `${withdrawal.status}/${withdrawal.stage}` !== stateBefore;
+
+        if (stateChanged || withdrawal.confirmations !== confirmationsBefore) {
+            this._save();
+        }
+
+        // Notify on stage changes only, not on every new confirmation
+        if (stateChanged) {
+            this.emit('update', { withdrawal });
+        }
+    }
+
+    /**
+     * Count confirmations of the withdrawal transaction on the destination chain
+     * @param {Object} withdrawal - Tracked withdrawal
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _checkChain(withdrawal) {
+        const tx = await this.api.getTransactionStatus(withdrawal.network, withdrawal.txHash);
+
+        // Not mined yet (or the RPC has not seen it)
+        if (!tx.found) {
+            return;
+        }
+
+        withdrawal.stage = 'mined';
+        withdrawal.blockNumber = tx.blockNumber;
+        withdrawal.confirmations = tx.confirmations;
+
+        if (tx.status === 'reverted') {
+            this._finish(withdrawal, 'failed', 'Transaction reverted on chain');
+        } else if (tx.confirmations >= withdrawal.requiredConfirmations) {
+            this._finish(withdrawal, 'confirmed');
+        }
+    }
+
+    /**
+     * Mark a withdrawal final and notify
+     * @param {Object} withdrawal - Tracked withdrawal
+     * @param {string} status - confirmed, failed or expired
+     * @param {string} reason - Optional: Failure reason
+     * @private
+     */
+    _finish(withdrawal, status, reason = null) {
+        withdrawal.status = status;
+        withdrawal.stage = null;
+        withdrawal.reason = reason;
+        withdrawal.completedAt = new Date().toISOString();
+        this._prune();
+    }
+
+    /**
+     * Drop the oldest finished withdrawals past MAX_FINISHED
+     * @private
+     */
+    _prune() {
+        const finished = this.withdrawals.filter(w => w.status !== 'tracking');
+        const excess = new Set(finished.slice(0, Math.max(finished.length - MAX_FINISHED, 0)));
+
+        if (excess.size > 0) {
+            this.withdrawals = this.withdrawals.filter(w => !excess.has(w));
+        }
+    }
+
+    /**
+     * Load persisted withdrawals
+     * @returns {Array<Object>} Withdrawals (empty if the file is missing or unreadable; an unreadable file is moved aside)
+     * @private
+     */
+    _load() {
+        return readJsonOrQuarantine(WITHDRAWALS_FILE, [], 'tracked withdrawals');
+    }
+
+    /**
+     * Persist withdrawals
+     * @private
+     */
+    _save() {
+        try {
+            writeJson(WITHDRAWALS_FILE, this.withdrawals);
+        } catch (error) {
+            console.error('Failed to save tracked withdrawals:', error.message);
+        }
+    }
+}
+
+module.exports = {
+    WithdrawalTracker,
+    REQUIRED_CONFIRMATIONS,
+    DEFAULT_POLL_INTERVAL_MS
+};
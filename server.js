@@ -18,6 +18,9 @@ console.log(`🌐 ASTER_API_BASE_URL: ${process.env.ASTER_API_BASE_URL || 'https
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
+// /health waits this long for the MCP process to report its clock
+const HEALTH_CLOCK_TIMEOUT_MS = 2000;
+
 let mcpProcess = null;
 let mcpInitialized = false;
 const pendingRequests = new Map();
@@ -127,7 +130,7 @@ async function initializeMCP() {
   });
 }
 
-async function sendMCPRequest(method, params = {}) {
+async function sendMCPRequest(method, params = {}, timeoutMs = 30000) {
   if (!mcpInitialized) {
     throw new Error('MCP not initialized');
   }
@@ -137,7 +140,7 @@ async function sendMCPRequest(method, params = {}) {
     const timeout = setTimeout(() => {
       pendingRequests.delete(id);
       reject(new Error('Request timeout'));
-    }, 30000);
+    }, timeoutMs);
     
     pendingRequests.set(id, {
       resolve: (response) => {
@@ -164,17 +167,31 @@ app.get('/', (req, res) => {
     status: mcpInitialized ? 'operational' : 'offline',
     description: 'Multi-chain DEX aggregator MCP server for Ethereum, Arbitrum, BNB Chain, and Solana',
     protocol: 'MCP',
-    endpoints: ['/health', '/info', '/mcp']
+    endpoints: ['/health', '/info', '/mcp', '/export/activity']
   });
 });
 
+// Clock offset the MCP process signs requests with, or why it could not be read
+async function getMCPClock() {
+  try {
+    const response = await sendMCPRequest('resources/read', { uri: 'aster://clock' }, HEALTH_CLOCK_TIMEOUT_MS);
+    if (response.error) {
+      return { error: response.error.message };
+    }
+    return JSON.parse(response.result.contents[0].text);
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   const healthy = mcpInitialized || mcpProcess !== null;
   res.status(healthy ? 200 : 503).json({
     status: healthy ? 'healthy' : 'unhealthy',
     service: 'Aster MCP',
     version: '0.1.0',
+    clock: await getMCPClock(),
     timestamp: new Date().toISOString()
   });
 });
@@ -194,16 +211,39 @@ app.get('/info', (req, res) => {
     description: 'Multi-chain DEX aggregator MCP server for Ethereum, Arbitrum, BNB Chain, and Solana',
     version: '0.1.0',
     apiBase: process.env.ASTER_API_BASE_URL || 'https://sapi.asterdex.com',
+    futuresApiBase: process.env.ASTER_FUTURES_API_BASE_URL || 'https://fapi.asterdex.com',
     apiKeyConfigured: !!process.env.ASTER_API_KEY,
     walletStatus: walletStatus,
     supportedNetworks: ['Ethereum', 'Arbitrum', 'BNB Chain', 'Solana'],
     capabilities: [
       'Multi-chain wallet generation',
       'Account balance checking',
-      'Market buy orders',
-      'Price checking',
-      'Deposits (EVM & Solana SOL)',
+      'Multi-chain wallet inventory',
+      'Portfolio valuation in any quote asset',
+      'Portfolio history, drawdown & returns',
+      'Market buy & sell orders',
+      'Limit orders (GTC/IOC/FOK, post-only)',
+      'Order management (query, list, cancel)',
+      'Real-time fills & balance deltas (user data stream)',
+      'Trade & order history',
+      'Cost basis, realized & unrealized PnL',
+      'Accounting CSV export (ledger, Koinly, CoinTracker)',
+      'Futures positions, leverage & margin mode',
+      'Futures market/limit orders with reduce-only',
+      'Futures mark price, funding rates & open interest',
+      'Price checking (live WebSocket cache with REST fallback)',
+      'Price alerts with notifications',
+      'Recurring DCA buy plans',
+      'Grid trading strategies',
+      'Symbol search & resolution',
+      '24h ticker statistics & market movers',
+      'Order book depth & liquidity analysis',
+      'Recent trades & order flow summary',
+      'Candlesticks with technical indicators',
+      'Deposits (EVM & Solana SOL) to spot or futures',
+      'Spot ↔ futures transfers',
       'Withdrawals (EVM)',
+      'Withdrawal tracking to on-chain confirmation',
       'Cross-chain swap & bridge'
     ]
   });
@@ -302,6 +342,50 @@ app.post('/mcp', async (req, res) => {
   }
 });
 
+// Accounting export download (CSV)
+// Query: format, types (comma-separated), symbols (comma-separated), startTime, endTime, maxPages
+app.get('/export/activity', async (req, res) => {
+  if (!mcpInitialized) {
+    return res.status(503).json({
+      error: 'MCP not ready',
+      message: 'Please wait for initialization'
+    });
+  }
+
+  const list = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : undefined;
+
+  try {
+    const response = await sendMCPRequest('tools/call', {
+      name: 'export_activity',
+      arguments: {
+        format: req.query.format,
+        types: list(req.query.types),
+        symbols: list(req.query.symbols),
+        startTime: req.query.startTime,
+        endTime: req.query.endTime,
+        maxPages: req.query.maxPages ? Number(req.query.maxPages) : undefined
+      }
+    });
+
+    if (response.error) {
+      return res.status(500).json({ error: response.error.message || response.error });
+    }
+
+    const result = JSON.parse(response.result.content[0].text);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+    res.send(result.csv);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // MCP Discovery endpoint (GET)
 app.get('/mcp', (req, res) => {
   res.json({
@@ -335,6 +419,7 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log('📍 Health check: http://localhost:' + PORT + '/health');
   console.log('📍 Info: http://localhost:' + PORT + '/info');
   console.log('📍 MCP endpoint: http://localhost:' + PORT + '/mcp');
+  console.log('📍 Activity export: http://localhost:' + PORT + '/export/activity');
   console.log('🌐 Supported networks: Ethereum, Arbitrum, BNB Chain, Solana');
   console.log('\n✨ Ready for MCP connections!\n');
 });